@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { LANGUAGES, DEFAULT_LANGUAGE, hasTranslation, findMissingKeys } = require('./i18n');
+
+// Reports gaps in the i18n catalogs:
+//   1. keys the code uses that en.json does not define (they would be shown as the raw key),
+//   2. per language, keys missing compared with en.json (served in English), keys en.json does not
+//      have, and translations whose {placeholders} differ from the English text.
+// Exits with 1 when anything is missing, so it can run in CI before a deploy.
+//
+//   node check_translations.js
+const SOURCE_FILES = ['server.js', 'validation.js', 'notifications/templates.js'];
+
+// String literals that start with a catalog group, e.g. 'document.notFound'. Keys built at
+// runtime (`status.${status}`) are not checked here.
+const findUsedKeys = () => {
+  const groups = Object.keys(LANGUAGES[DEFAULT_LANGUAGE].catalog).join('|');
+  const pattern = new RegExp(`'((?:${groups})(?:\\.\\w+)+)'`, 'g');
+  const used = new Map(); // key -> first place it is used
+  for (const file of SOURCE_FILES) {
+    const lines = fs.readFileSync(path.join(__dirname, file), 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      for (const [, key] of line.matchAll(pattern)) if (!used.has(key)) used.set(key, `${file}:${i + 1}`);
+    });
+  }
+  return used;
+};
+
+function main() {
+  let problems = 0;
+
+  const undefinedKeys = [...findUsedKeys()].filter(([key]) => !hasTranslation(key));
+  if (undefinedKeys.length) {
+    console.log(`${DEFAULT_LANGUAGE}: ${undefinedKeys.length} key(s) used in code but not defined:`);
+    for (const [key, where] of undefinedKeys) console.log(`  ${key} (${where})`);
+    problems += undefinedKeys.length;
+  }
+
+  for (const { language, missing, unused, placeholderMismatches } of findMissingKeys()) {
+    if (!missing.length && !unused.length && !placeholderMismatches.length) {
+      console.log(`${language} (${LANGUAGES[language].name}): complete.`);
+      continue;
+    }
+    if (missing.length) {
+      console.log(`${language}: ${missing.length} missing key(s):`);
+      for (const key of missing) console.log(`  ${key}`);
+    }
+    if (unused.length) {
+      console.log(`${language}: ${unused.length} key(s) not in ${DEFAULT_LANGUAGE}.json (unused):`);
+      for (const key of unused) console.log(`  ${key}`);
+    }
+    if (placeholderMismatches.length) {
+      console.log(`${language}: ${placeholderMismatches.length} translation(s) with different placeholders:`);
+      for (const key of placeholderMismatches) console.log(`  ${key}`);
+    }
+    problems += missing.length + placeholderMismatches.length;
+  }
+
+  if (problems) process.exitCode = 1;
+}
+
+main();
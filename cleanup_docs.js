@@ -1,328 +1,173 @@
-const express = require('express');
-const dotenv = require('dotenv');
 const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcryptjs');
-const cors = require('cors');
-const multer = require('multer');
+const dotenv = require('dotenv');
+const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid'); // 🔹 New import for unique IDs
+const { createDocumentStorage } = require('./storage');
 
-// Load environment variables from .env file
 dotenv.config();
-
-// Initialize Express app
-const app = express();
-const port = process.env.PORT || 5000;
-
-// Use CORS middleware
-app.use(cors());
-
-// Middleware to parse JSON bodies
-app.use(express.json());
-
-// Initialize Prisma Client
 const prisma = new PrismaClient();
 
-// 🔹 Updated Multer configuration for unique filenames
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/'); // Save files in the 'uploads' directory
-  },
-  filename: function (req, file, cb) {
-    // 🔹 Generate a unique filename to prevent conflicts
-    const uniqueSuffix = Date.now() + '-' + uuidv4();
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
-  }
-});
-const upload = multer({ storage: storage });
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Root endpoint for testing
-app.get('/', (req, res) => {
-  res.send('ADITI Backend is running!');
-});
-
-// Customer Registration Endpoint
-app.post('/api/register', async (req, res) => {
-  const {
-    fname,
-    lname,
-    gender,
-    age,
-    mobile,
-    email,
-    pan,
-    accountNumber,
-    password,
-  } = req.body;
-
-  try {
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const newCustomer = await prisma.customer.create({
-      data: {
-        fname,
-        lname,
-        gender,
-        age: Number(age),
-        mobile,
-        email,
-        pan,
-        accountNumber,
-        password: hashedPassword,
-      },
-    });
-
-    res.status(201).json({
-      message: 'Customer registered successfully!',
-      customer: {
-        id: newCustomer.id,
-        fname: newCustomer.fname,
-        lname: newCustomer.lname,
-        email: newCustomer.email,
-      },
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    if (error.code === 'P2002') {
-      return res.status(400).json({
-        error: 'User with this email, mobile, PAN, or account number already exists.',
-      });
+// Document maintenance, meant to run on a schedule (e.g. nightly from cron):
+//   1. files in document storage or the legacy local folders with no Document row are deleted,
+//   2. Document rows whose file is gone are deleted,
+//   3. documents past the retention period in retention_policy.json for their assessment's
+//      status and docType are deleted (file and row).
+// A JSON report of everything found is written on every run.
+//
+//   node cleanup_docs.js [--dry-run] [--report=path/to/report.json]
+// Where uploads were written before document storage: multer's uploads/ folder, then storage/documents/.
+const LEGACY_UPLOAD_DIRS = ['uploads', path.join('storage', 'documents')];
+// Placeholder files that keep the legacy folders in git
+const KEEP_FILES = new Set(['dummy.txt', '.gitkeep']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionPolicy = JSON.parse(fs.readFileSync(path.join(__dirname, 'retention_policy.json'), 'utf8'));
+
+// The most specific rule wins: status + docType, then status only, then docType only.
+// Documents no rule covers are kept indefinitely.
+const findRetentionRule = (status, docType) => {
+  const matching = retentionPolicy.rules.filter((rule) => (!rule.status || rule.status === status)
+    && (!rule.docType || rule.docType === docType));
+  const specificity = (rule) => (rule.status ? 2 : 0) + (rule.docType ? 1 : 0);
+  return matching.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+const listLegacyUploads = async () => {
+  const files = [];
+  for (const dir of LEGACY_UPLOAD_DIRS) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(__dirname, dir), { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') continue;
+      throw e;
+    }
+    for (const entry of entries) {
+      if (!entry.isFile() || KEEP_FILES.has(entry.name)) continue;
+      const filePath = path.join(__dirname, dir, entry.name);
+      const stats = await fs.promises.stat(filePath);
+      files.push({ location: dir, filePath, size: stats.size, lastModified: stats.mtime });
     }
-    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
   }
-});
-
-// Customer Login Endpoint
-app.post('/api/login', async (req, res) => {
-  const { email, password } = req.body;
+  return files;
+};
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const reportArg = process.argv.find((arg) => arg.startsWith('--report='));
+  const storage = createDocumentStorage();
+  const startedAt = new Date();
+  // Files younger than this may belong to an upload whose Document row is still being written.
+  const graceCutoff = new Date(startedAt.getTime() - retentionPolicy.orphanGraceHours * 60 * 60 * 1000);
+  const report = {
+    startedAt,
+    dryRun,
+    storage: storage.name,
+    retentionPolicyVersion: retentionPolicy.version,
+    orphanFiles: [],
+    orphanRecords: [],
+    expiredDocuments: [],
+    errors: [],
+  };
+
+  // Removes the row (and its analysis) and records the deletion in the document access log.
+  // Request items it satisfied go back to "requested".
+  const deleteDocumentRecord = (document) => prisma.$transaction([
+    prisma.documentRequestItem.updateMany({ where: { documentId: document.id, status: 'uploaded' }, data: { status: 'requested' } }),
+    prisma.documentAnalysis.deleteMany({ where: { documentId: document.id } }),
+    prisma.document.delete({ where: { id: document.id } }),
+    prisma.documentAccessLog.create({ data: { documentId: document.id, principalType: 'system', action: 'deleted' } }),
+  ]);
+
+  const deleteDocumentFile = async (document) => {
+    if (document.storageKey) return storage.delete(document.storageKey);
+    if (document.filePath) return fs.promises.rm(path.resolve(__dirname, document.filePath), { force: true });
+  };
 
   try {
-    const customer = await prisma.customer.findUnique({
-      where: {
-        email: email,
-      },
+    const documents = await prisma.document.findMany({
       include: {
-        assessments: {
-          orderBy: {
-            createdAt: 'desc',
+        assessment: {
+          select: {
+            status: true,
+            updatedAt: true,
+            statusChanges: { orderBy: { createdAt: 'desc' }, take: 1, select: { createdAt: true } },
           },
-          take: 1,
-          include: {
-            messages: true,
-            documents: true,
-          }
         },
       },
     });
-
-    if (!customer) {
-      return res.status(401).json({ error: 'Invalid email or password.' });
-    }
-
-    const isMatch = await bcrypt.compare(password, customer.password);
-
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid email or password.' });
+    const knownKeys = new Set(documents.map((document) => document.storageKey).filter(Boolean));
+    const knownPaths = new Set(documents.filter((document) => document.filePath)
+      .map((document) => path.resolve(__dirname, document.filePath)));
+
+    // 1. Files nobody references
+    for (const object of await storage.list('documents/')) {
+      if (knownKeys.has(object.key) || object.lastModified > graceCutoff) continue;
+      report.orphanFiles.push({ location: storage.name, key: object.key, size: object.size });
+      if (!dryRun) await storage.delete(object.key);
     }
-
-    const { password: _, assessments, ...customerData } = customer;
-    res.status(200).json({
-      message: 'Login successful!',
-      customer: customerData,
-      latestAssessment: assessments[0] || null,
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
-  }
-});
-
-// 🔹 Endpoint: Submit a new assessment
-app.post('/api/assessment/submit', async (req, res) => {
-  const { customerId, score, answers, breakdown } = req.body;
-  try {
-    let status;
-    if (score >= 750) {
-      status = 'Approved';
-    } else if (score >= 600) {
-      status = 'Manual Review';
-    } else {
-      status = 'Rejected';
+    for (const file of await listLegacyUploads()) {
+      if (knownPaths.has(file.filePath) || file.lastModified > graceCutoff) continue;
+      report.orphanFiles.push({ location: file.location, key: path.relative(__dirname, file.filePath), size: file.size });
+      if (!dryRun) await fs.promises.rm(file.filePath, { force: true });
     }
 
-    const newAssessment = await prisma.assessment.create({
-      data: {
-        customerId: Number(customerId),
-        score,
-        answers,
-        breakdown,
-        status,
-      },
-    });
-
-    await prisma.customer.update({
-        where: { id: Number(customerId) },
-        data: { lastAccessed: new Date() },
-    });
-
-    res.status(201).json({ 
-      message: 'Assessment submitted successfully!', 
-      assessment: newAssessment 
-    });
-  } catch (error) {
-    console.error('Assessment submission error:', error);
-    res.status(500).json({ error: 'Failed to submit assessment.' });
-  }
-});
-
-// 🔹 Endpoint: Get a customer's latest assessment
-app.get('/api/customer/:id/latest-assessment', async (req, res) => {
-  const { id } = req.params;
-  try {
-    const assessment = await prisma.assessment.findFirst({
-      where: { customerId: Number(id) },
-      orderBy: { createdAt: 'desc' },
-      include: {
-        messages: true,
-        documents: true,
-      }
-    });
-    res.status(200).json({ assessment });
-  } catch (error) {
-    console.error('Failed to fetch latest assessment:', error);
-    res.status(500).json({ error: 'Failed to fetch assessment data.' });
-  }
-});
-
-// 🔹 Endpoint: Get all assessments for the bank dashboard
-app.get('/api/assessments', async (req, res) => {
-    try {
-        const assessments = await prisma.assessment.findMany({
-            include: {
-                customer: {
-                    select: {
-                        fname: true,
-                        lname: true,
-                    },
-                },
-                documents: true,
-            },
-            orderBy: { createdAt: 'desc' },
-        });
-        res.status(200).json({ assessments });
-    } catch (error) {
-        console.error('Failed to fetch all assessments:', error);
-        res.status(500).json({ error: 'Failed to retrieve assessments.' });
-    }
-});
-
-// 🔹 Endpoint: Bank User Login
-app.post('/api/bank-login', async (req, res) => {
-    const { username, password } = req.body;
-    try {
-        const bankUser = await prisma.bankUser.findUnique({
-            where: { username },
-        });
-
-        if (!bankUser) {
-            return res.status(401).json({ error: 'Invalid username or password.' });
+    for (const document of documents) {
+      try {
+        // 2. Rows whose file is gone
+        const fileExists = document.storageKey
+          ? await storage.exists(document.storageKey)
+          : Boolean(document.filePath) && fs.existsSync(path.resolve(__dirname, document.filePath));
+        if (!fileExists) {
+          report.orphanRecords.push({ documentId: document.id, assessmentId: document.assessmentId, storageKey: document.storageKey, filePath: document.filePath });
+          if (!dryRun) await deleteDocumentRecord(document);
+          continue;
         }
 
-        const isMatch = await bcrypt.compare(password, bankUser.password);
-
-        if (!isMatch) {
-            return res.status(401).json({ error: 'Invalid username or password.' });
+        // 3. Retention
+        const { status } = document.assessment;
+        const rule = findRetentionRule(status, document.docType);
+        if (!rule) continue;
+        const [lastChange] = document.assessment.statusChanges;
+        const statusSince = lastChange ? lastChange.createdAt : document.assessment.updatedAt;
+        if (startedAt - statusSince < rule.retentionDays * DAY_MS) continue;
+        report.expiredDocuments.push({
+          documentId: document.id,
+          assessmentId: document.assessmentId,
+          status,
+          docType: document.docType,
+          retentionDays: rule.retentionDays,
+          statusSince,
+        });
+        if (!dryRun) {
+          await deleteDocumentRecord(document);
+          await deleteDocumentFile(document);
         }
-
-        res.status(200).json({ message: 'Login successful!', user: { username: bankUser.username } });
-    } catch (error) {
-        console.error('Bank login error:', error);
-        res.status(500).json({ error: 'Something went wrong. Please try again.' });
-    }
-});
-
-
-// 🔹 Endpoint: Handle file uploads for an assessment
-app.post('/api/documents/upload', upload.single('document'), async (req, res) => {
-  try {
-    if (!req.file || !req.body.assessmentId) {
-      return res.status(400).json({ error: 'No file or assessment ID provided.' });
+      } catch (e) {
+        console.error(`Document ${document.id}: cleanup failed:`, e.message);
+        report.errors.push({ documentId: document.id, message: e.message });
+      }
     }
-
-    const { filename, originalname } = req.file; // 🔹 filename is now the unique filename
-    const { assessmentId } = req.body;
-
-    const newDocument = await prisma.document.create({
-      data: {
-        fileName: filename, // 🔹 Store the unique filename here
-        originalName: originalname, // 🔹 Store the original name here
-        filePath: `uploads/${filename}`, // 🔹 Use the unique filename for the file path
-        assessmentId: Number(assessmentId),
-      },
-    });
-
-    res.status(201).json({ message: 'Document uploaded successfully.', document: newDocument });
-  } catch (error) {
-    console.error('Document upload error:', error);
-    res.status(500).json({ error: 'Failed to upload document.' });
+  } catch (e) {
+    console.error('Error cleaning up documents:', e);
+    report.errors.push({ message: e.message });
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
   }
-});
-
-// 🔹 Endpoint: Get messages for an assessment
-app.get('/api/assessments/:id/messages', async (req, res) => {
-  const { id } = req.params;
-  try {
-    const messages = await prisma.message.findMany({
-      where: { assessmentId: Number(id) },
-      orderBy: { createdAt: 'asc' },
-    });
-    res.status(200).json({ messages });
-  } catch (error) {
-    console.error('Failed to fetch messages:', error);
-    res.status(500).json({ error: 'Failed to retrieve messages.' });
-  }
-});
-
-// 🔹 Endpoint: Send a new message for an assessment
-app.post('/api/assessments/:id/message', async (req, res) => {
-  const { id } = req.params;
-  const { sender, text } = req.body;
-  try {
-    const newMessage = await prisma.message.create({
-      data: {
-        assessmentId: Number(id),
-        sender,
-        text,
-      },
-    });
-    res.status(201).json({ message: 'Message sent successfully.', newMessage });
-  } catch (error) {
-    console.error('Failed to send message:', error);
-    res.status(500).json({ error: 'Failed to send message.' });
-  }
-});
-
-// 🔹 Endpoint: Update assessment status (for bank manager)
-app.patch('/api/assessments/:id/status', async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-  try {
-    const updatedAssessment = await prisma.assessment.update({
-      where: { id: Number(id) },
-      data: { status },
-    });
-    res.status(200).json({ message: 'Status updated successfully.', updatedAssessment });
-  } catch (error) {
-    console.error('Failed to update status:', error);
-    res.status(500).json({ error: 'Failed to update status.' });
-  }
-});
-
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Server is running on http://localhost:${port}`);
-});
\ No newline at end of file
+  report.finishedAt = new Date();
+  const reportPath = reportArg
+    ? path.resolve(reportArg.slice('--report='.length))
+    : path.join(__dirname, 'data', 'reports', `document-cleanup-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  await fs.promises.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  const verb = dryRun ? 'would be deleted' : 'deleted';
+  console.log(`${report.orphanFiles.length} orphaned file(s), ${report.orphanRecords.length} orphaned record(s) and `
+    + `${report.expiredDocuments.length} expired document(s) ${verb}; ${report.errors.length} error(s).`);
+  console.log(`Report written to ${reportPath}`);
+  if (report.errors.length) process.exitCode = 1;
+}
+
+main();
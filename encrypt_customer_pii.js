@@ -0,0 +1,65 @@
+const { PrismaClient } = require('@prisma/client');
+const dotenv = require('dotenv');
+const { createPiiProtection } = require('./privacy');
+
+dotenv.config();
+const prisma = new PrismaClient();
+
+// Encrypts PAN and account numbers stored before field-level encryption was introduced and fills
+// in their blind indexes, for customers and for the fields extracted from uploaded documents.
+// Run once after deploying the 20251020050000_protect_customer_pii migration; until then those
+// customers cannot be found by PAN or account number in dashboard search, and the
+// 20251020110000_drop_plaintext_pii_unique_indexes migration refuses to run.
+//
+//   node encrypt_customer_pii.js [--dry-run]
+//
+// Safe to re-run: values that are already encrypted are skipped.
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const pii = createPiiProtection();
+  const summary = { customers: 0, analyses: 0, failed: 0 };
+
+  try {
+    const customers = await prisma.customer.findMany({
+      where: { OR: [{ panIndex: null, pan: { not: null } }, { accountNumberIndex: null, accountNumber: { not: null } }] },
+      select: { id: true, pan: true, accountNumber: true },
+      orderBy: { id: 'asc' },
+    });
+    console.log(`${customers.length} customer(s) to encrypt${dryRun ? ' (dry run)' : ''}.`);
+    for (const customer of customers) {
+      try {
+        const data = pii.protect({ pan: pii.decrypt(customer.pan), accountNumber: pii.decrypt(customer.accountNumber) });
+        if (!dryRun) await prisma.customer.update({ where: { id: customer.id }, data });
+        summary.customers++;
+      } catch (e) {
+        // Most likely two legacy rows that only differ in formatting now share a blind index.
+        console.error(`Customer ${customer.id}: encryption failed:`, e.message);
+        summary.failed++;
+      }
+    }
+
+    const analyses = await prisma.documentAnalysis.findMany({
+      where: { status: 'completed' },
+      select: { id: true, extractedFields: true },
+    });
+    for (const analysis of analyses) {
+      const fields = analysis.extractedFields || {};
+      const plain = ['pan', 'accountNumber'].filter((field) => fields[field] && !pii.isEncrypted(fields[field]));
+      if (!plain.length) continue;
+      const extractedFields = { ...fields };
+      for (const field of plain) extractedFields[field] = pii.encrypt(fields[field]);
+      if (!dryRun) await prisma.documentAnalysis.update({ where: { id: analysis.id }, data: { extractedFields } });
+      summary.analyses++;
+    }
+
+    console.log(`Done. ${summary.customers} customer(s) and ${summary.analyses} document analysis record(s) encrypted, ${summary.failed} failed.`);
+    if (summary.failed) process.exitCode = 1;
+  } catch (e) {
+    console.error('Error encrypting customer PII:', e);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,73 @@
+// Keyword-based document classification and field extraction for Indian KYC and income documents.
+// Works on raw extracted text, so patterns tolerate OCR noise (extra spaces, mixed case).
+
+// Each phrase found adds its weight to the document type's score.
+const DOCUMENT_SIGNALS = {
+  pan_card: [
+    [/income\s*tax\s*department/i, 2],
+    [/permanent\s*account\s*number/i, 3],
+    [/govt\.?\s*of\s*india|government\s*of\s*india/i, 1],
+  ],
+  aadhaar_card: [
+    [/aadhaar|aadhar/i, 3],
+    [/unique\s*identification\s*authority|uidai/i, 2],
+    [/\b\d{4}\s\d{4}\s\d{4}\b/, 1],
+  ],
+  salary_slip: [
+    [/salary\s*slip|pay\s*slip|payslip/i, 3],
+    [/net\s*pay|net\s*salary|take\s*home/i, 2],
+    [/gross\s*(earnings|salary)/i, 1],
+    [/basic\s*(pay|salary)?/i, 1],
+    [/provident\s*fund|\bpf\b|professional\s*tax/i, 1],
+  ],
+  bank_statement: [
+    [/statement\s*of\s*account|account\s*statement|bank\s*statement/i, 3],
+    [/opening\s*balance|closing\s*balance/i, 2],
+    [/withdrawals?|deposits?/i, 1],
+    [/\bifsc\b/i, 1],
+  ],
+  income_tax_return: [
+    [/\bITR-?\d\b/i, 3],
+    [/assessment\s*year/i, 2],
+    [/acknowledg(e)?ment/i, 1],
+  ],
+  address_proof: [
+    [/electricity\s*bill|utility\s*bill|water\s*bill|gas\s*bill/i, 3],
+    [/consumer\s*(no|number)/i, 1],
+    [/billing\s*address|service\s*address/i, 1],
+  ],
+};
+
+// Score at which a classification is treated as fully confident.
+const CONFIDENT_SCORE = 5;
+
+// Returns { docType, confidence } for the best-scoring type, or { docType: null, confidence: 0 }.
+const classifyDocument = (text) => {
+  let best = { docType: null, score: 0 };
+  for (const [docType, signals] of Object.entries(DOCUMENT_SIGNALS)) {
+    const score = signals.reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+    if (score > best.score) best = { docType, score };
+  }
+  return { docType: best.docType, confidence: Math.min(1, best.score / CONFIDENT_SCORE) };
+};
+
+const PAN_PATTERN = /\b([A-Z]{5}[0-9]{4}[A-Z])\b/;
+const ACCOUNT_NUMBER_PATTERN = /(?:a\/c|account)\s*(?:no\.?|number|#)\s*[:\-]?\s*(\d[\d\s]{7,20}\d)/i;
+const NAME_PATTERN = /(?:^|\n)\s*(?:name|employee\s*name|account\s*holder(?:'s)?\s*name|customer\s*name)\s*[:\-]?\s*([A-Za-z][A-Za-z .]{2,60})/i;
+
+// Pulls { pan, name, accountNumber } out of the text; fields that are not found are omitted.
+const extractDocumentFields = (text) => {
+  const fields = {};
+  const pan = text.toUpperCase().match(PAN_PATTERN);
+  if (pan) fields.pan = pan[1];
+  const accountNumber = text.match(ACCOUNT_NUMBER_PATTERN);
+  if (accountNumber) {
+    const digits = accountNumber[1].replace(/\s/g, '');
+    if (digits.length >= 9 && digits.length <= 18) fields.accountNumber = digits;
+  }
+  const name = text.match(NAME_PATTERN);
+  if (name) fields.name = name[1].replace(/\s+/g, ' ').trim();
+  return fields;
+};
+
+module.exports = { classifyDocument, extractDocumentFields };
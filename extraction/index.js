@@ -0,0 +1,82 @@
+// ------------------
+// DOCUMENT TEXT EXTRACTION
+// ------------------
+// `extractText(buffer, mimeType)` turns an uploaded document into plain text without leaving the
+// machine: PDFs through their embedded text layer, images through local Tesseract OCR.
+// OCR_LANGS picks the Tesseract languages (default "eng", several joined with "+"). OCR_LANG_PATH must
+// name a directory holding <lang>.traineddata (or .traineddata.gz) for each of them: without it
+// tesseract.js would download the language data from a CDN, so the server refuses to start instead.
+const fs = require('fs');
+const path = require('path');
+const { classifyDocument, extractDocumentFields } = require('./classify');
+
+const loadOcrConfig = (env = process.env) => {
+  const langs = env.OCR_LANGS || 'eng';
+  if (!env.OCR_LANG_PATH) {
+    throw new Error('OCR_LANG_PATH must be set to the directory holding the Tesseract *.traineddata files.');
+  }
+  const langPath = path.resolve(__dirname, '..', env.OCR_LANG_PATH);
+  const hasFiles = (extension) => langs.split('+').every((lang) => fs.existsSync(path.join(langPath, `${lang}${extension}`)));
+  // tesseract.js reads the gzipped files unless told otherwise.
+  const gzip = hasFiles('.traineddata.gz');
+  if (!gzip && !hasFiles('.traineddata')) {
+    throw new Error(`OCR_LANG_PATH "${langPath}" must contain a .traineddata or .traineddata.gz file for each of the OCR_LANGS "${langs}".`);
+  }
+  return {
+    langs,
+    langPath,
+    gzip,
+    cachePath: path.resolve(__dirname, '..', env.OCR_CACHE_DIR || 'data/ocr-cache'),
+  };
+};
+
+const OCR_CONFIG = loadOcrConfig();
+
+// The OCR worker is expensive to start, so it is created on first use and then reused.
+let ocrWorkerPromise = null;
+const getOcrWorker = () => {
+  if (!ocrWorkerPromise) {
+    const { createWorker } = require('tesseract.js');
+    ocrWorkerPromise = createWorker(OCR_CONFIG.langs, 1, {
+      langPath: OCR_CONFIG.langPath,
+      gzip: OCR_CONFIG.gzip,
+      cachePath: OCR_CONFIG.cachePath,
+    }).catch((error) => {
+      ocrWorkerPromise = null;
+      throw error;
+    });
+  }
+  return ocrWorkerPromise;
+};
+
+const extractPdfText = async (buffer) => {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const extractImageText = async (buffer) => {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(buffer);
+  return data.text;
+};
+
+const extractText = (buffer, mimeType) => {
+  if (mimeType === 'application/pdf') return extractPdfText(buffer);
+  if (mimeType && mimeType.startsWith('image/')) return extractImageText(buffer);
+  throw new Error(`Text extraction is not supported for "${mimeType}".`);
+};
+
+const shutdownOcr = async () => {
+  if (!ocrWorkerPromise) return;
+  const worker = await ocrWorkerPromise.catch(() => null);
+  ocrWorkerPromise = null;
+  if (worker) await worker.terminate();
+};
+
+module.exports = { extractText, classifyDocument, extractDocumentFields, shutdownOcr };
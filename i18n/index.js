@@ -0,0 +1,116 @@
+// ------------------
+// LOCALIZATION
+// ------------------
+// Text the backend writes for customers (API errors and confirmations, system messages in the
+// assessment thread, status and document labels, notifications) comes from the catalogs in
+// i18n/catalogs/, looked up by dotted key: translate('hi', 'document.notFound').
+// `{placeholders}` are filled from params; params named after a label group (status, fromStatus,
+// docType, docTypes, draftStatus, field) are shown with the label in the same language, arrays are
+// listed and dates are written as YYYY-MM-DD. Keys missing from a catalog fall back to English.
+// Bank-only administration routes (policies, question bank, bank users, analytics) stay English.
+//
+// To add a language: create catalogs/<code>.json with every key of en.json and register it below.
+// It is then accepted wherever the API takes a language. `node check_translations.js` reports
+// missing keys.
+const LANGUAGES = {
+  en: { name: 'English', catalog: require('./catalogs/en.json') },
+  hi: { name: 'Hindi', catalog: require('./catalogs/hi.json') },
+  te: { name: 'Telugu', catalog: require('./catalogs/te.json') },
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { name }]) => [code, name]));
+
+// { a: { b: 'text' } } -> { 'a.b': 'text' }
+const flatten = (catalog, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(catalog)) {
+    if (value && typeof value === 'object') flatten(value, `${prefix}${key}.`, result);
+    else result[`${prefix}${key}`] = value;
+  }
+  return result;
+};
+
+const CATALOGS = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { catalog }]) => [code, flatten(catalog)]));
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+const lookup = (language, key) => {
+  const catalog = CATALOGS[isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE];
+  return key in catalog ? catalog[key] : CATALOGS[DEFAULT_LANGUAGE][key];
+};
+
+const hasTranslation = (key) => key in CATALOGS[DEFAULT_LANGUAGE];
+
+// Params shown through a label group of the catalog rather than as given.
+const LABELLED_PARAMS = {
+  status: 'status',
+  fromStatus: 'status',
+  docType: 'documentType',
+  docTypes: 'documentType',
+  draftStatus: 'draftStatus',
+  field: 'profileField',
+};
+
+const formatParam = (language, name, value) => {
+  const group = LABELLED_PARAMS[name];
+  const label = (item) => {
+    if (!group) return item;
+    const text = lookup(language, `${group}.${item}`);
+    return text === undefined ? item : text;
+  };
+  if (Array.isArray(value)) return value.map(label).join(', ');
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return label(value);
+};
+
+// Returns the text for `key` in `language`, or the key itself when no catalog has it.
+const translate = (language, key, params = {}) => {
+  const text = lookup(language, key);
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined || params[name] === null ? '' : String(formatParam(language, name, params[name]))
+  )).trim();
+};
+
+// Picks the best supported language from an Accept-Language header, or null when none is acceptable.
+const negotiateLanguage = (header) => {
+  if (!header) return null;
+  const ranked = header.split(',')
+    .map((part) => {
+      const [tag, ...attributes] = part.trim().split(';');
+      const quality = attributes.map((attribute) => attribute.trim()).find((attribute) => attribute.startsWith('q='));
+      return { code: tag.trim().toLowerCase().split('-')[0], quality: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(({ code, quality }) => isSupportedLanguage(code) && quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+  return ranked.length ? ranked[0].code : null;
+};
+
+const placeholdersOf = (text) => [...new Set((text.match(/\{\w+\}/g) || []))].sort().join(',');
+
+// Compares every catalog with the English one. Per language: `missing` keys (served in English),
+// `unused` keys English does not have, and `placeholderMismatches` whose {placeholders} differ.
+const findMissingKeys = () => {
+  const reference = CATALOGS[DEFAULT_LANGUAGE];
+  return Object.keys(LANGUAGES).filter((code) => code !== DEFAULT_LANGUAGE).map((code) => {
+    const catalog = CATALOGS[code];
+    return {
+      language: code,
+      missing: Object.keys(reference).filter((key) => !(key in catalog)),
+      unused: Object.keys(catalog).filter((key) => !(key in reference)),
+      placeholderMismatches: Object.keys(reference)
+        .filter((key) => key in catalog && placeholdersOf(catalog[key]) !== placeholdersOf(reference[key])),
+    };
+  });
+};
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  hasTranslation,
+  translate,
+  negotiateLanguage,
+  findMissingKeys,
+};
@@ -0,0 +1,21 @@
+// Google Gemini implementation of the LLM provider interface.
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+module.exports = (config) => {
+  const genAI = new GoogleGenerativeAI(config.apiKey);
+
+  return {
+    model: config.model,
+    async generateText(prompt, { temperature }) {
+      const model = genAI.getGenerativeModel(
+        {
+          model: config.model,
+          generationConfig: temperature === undefined ? undefined : { temperature },
+        },
+        { timeout: config.timeoutMs },
+      );
+      const result = await model.generateContent(prompt);
+      return result.response.text();
+    },
+  };
+};
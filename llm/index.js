@@ -0,0 +1,61 @@
+// ------------------
+// LLM PROVIDER LAYER
+// ------------------
+// Routes call `llm.generateText(prompt, options)` and never talk to a vendor SDK directly.
+// LLM_PROVIDER picks the implementation: "gemini" (default) or "mock" (fixture-driven, no network).
+const path = require('path');
+const createGeminiProvider = require('./gemini');
+const createMockProvider = require('./mock');
+
+const PROVIDERS = { gemini: createGeminiProvider, mock: createMockProvider };
+
+const loadLlmConfig = (env = process.env) => ({
+  provider: env.LLM_PROVIDER || 'gemini',
+  model: env.LLM_MODEL || 'gemini-1.5-flash',
+  temperature: env.LLM_TEMPERATURE === undefined ? undefined : Number(env.LLM_TEMPERATURE),
+  timeoutMs: Number(env.LLM_TIMEOUT_MS || 30000),
+  maxRetries: Number(env.LLM_MAX_RETRIES || 3),
+  retryBaseMs: Number(env.LLM_RETRY_BASE_MS || 500),
+  apiKey: env.GEMINI_API_KEY,
+  fixturesDir: env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures'),
+});
+
+const isRateLimitError = (error) => error.status === 429 || (error.toString && error.toString().includes('429'));
+
+// Rate limits, server errors and timeouts are worth another attempt; bad requests are not.
+const isRetryableError = (error) => isRateLimitError(error)
+  || error.status >= 500
+  || error.name === 'AbortError'
+  || /timed? ?out/i.test(error.message || '');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wraps the configured provider with retries and exponential backoff (plus jitter).
+const createLlmProvider = (config = loadLlmConfig()) => {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  const provider = factory(config);
+
+  return {
+    name: config.provider,
+    model: provider.model,
+    // options: { task, variant, temperature } - task/variant select mock fixtures and label logs.
+    async generateText(prompt, options = {}) {
+      const callOptions = { temperature: config.temperature, ...options };
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await provider.generateText(prompt, callOptions);
+        } catch (error) {
+          if (attempt >= config.maxRetries || !isRetryableError(error)) throw error;
+          const delay = config.retryBaseMs * 2 ** attempt + Math.floor(Math.random() * config.retryBaseMs);
+          console.warn(`LLM ${options.task || 'call'} failed (${error.message}); retrying in ${delay}ms (${attempt + 1}/${config.maxRetries}).`);
+          await sleep(delay);
+        }
+      }
+    },
+  };
+};
+
+module.exports = { createLlmProvider, loadLlmConfig, isRateLimitError };
@@ -0,0 +1,40 @@
+// Deterministic, fixture-driven LLM provider for local development and CI (no network).
+//
+// A call with { task: 'questions', variant: 'hi' } reads fixtures/questions.hi.json, falling back
+// to fixtures/questions.json. A fixture is { "responses": [...] }: each call returns the next entry
+// and the last one repeats. String entries are returned as-is, other JSON values are stringified,
+// and { "error": { "status": 429, "message": "..." } } makes the call fail with that status.
+const fs = require('fs');
+const path = require('path');
+
+module.exports = (config) => {
+  const callCounts = {};
+
+  const loadFixture = (task, variant) => {
+    const candidates = [variant && `${task}.${variant}.json`, `${task}.json`].filter(Boolean);
+    for (const fileName of candidates) {
+      const filePath = path.join(config.fixturesDir, fileName);
+      if (fs.existsSync(filePath)) {
+        return { key: fileName, fixture: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      }
+    }
+    throw new Error(`No LLM fixture for task "${task}" in ${config.fixturesDir}.`);
+  };
+
+  return {
+    model: 'mock',
+    async generateText(prompt, { task = 'default', variant }) {
+      const { key, fixture } = loadFixture(task, variant);
+      const index = Math.min(callCounts[key] || 0, fixture.responses.length - 1);
+      callCounts[key] = (callCounts[key] || 0) + 1;
+
+      const entry = fixture.responses[index];
+      if (entry && entry.error) {
+        const error = new Error(entry.error.message || 'Mock LLM error');
+        error.status = entry.error.status;
+        throw error;
+      }
+      return typeof entry === 'string' ? entry : JSON.stringify(entry);
+    },
+  };
+};
@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const { createDocumentStorage } = require('./storage');
+
+dotenv.config();
+const prisma = new PrismaClient();
+
+// Moves documents that still live at a local filePath (the old uploads/ or storage/documents/
+// folder) into the configured storage backend and records their storage key and content hash.
+//
+//   node migrate_documents.js [--dry-run] [--delete-local]
+//
+// Safe to re-run: documents that already have a storage key are skipped.
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const deleteLocal = process.argv.includes('--delete-local');
+  const storage = createDocumentStorage();
+  const summary = { migrated: 0, missing: 0, failed: 0 };
+
+  try {
+    const documents = await prisma.document.findMany({
+      where: { storageKey: null },
+      orderBy: { id: 'asc' },
+    });
+    console.log(`${documents.length} document(s) to move into "${storage.name}" storage${dryRun ? ' (dry run)' : ''}.`);
+
+    for (const document of documents) {
+      const sourcePath = document.filePath && path.resolve(__dirname, document.filePath);
+      if (!sourcePath || !fs.existsSync(sourcePath)) {
+        console.warn(`Document ${document.id}: file not found at "${document.filePath}", skipped.`);
+        summary.missing++;
+        continue;
+      }
+      const storageKey = `documents/${document.assessmentId}/${document.fileName}`;
+      if (dryRun) {
+        console.log(`Document ${document.id}: ${document.filePath} -> ${storageKey}`);
+        summary.migrated++;
+        continue;
+      }
+      try {
+        const body = await fs.promises.readFile(sourcePath);
+        await storage.put(storageKey, body, { contentType: document.mimeType || undefined });
+        await prisma.document.update({
+          where: { id: document.id },
+          data: {
+            storageKey,
+            contentHash: crypto.createHash('sha256').update(body).digest('hex'),
+            size: body.length,
+            filePath: null,
+          },
+        });
+        if (deleteLocal) await fs.promises.unlink(sourcePath);
+        console.log(`Document ${document.id}: moved to ${storageKey}`);
+        summary.migrated++;
+      } catch (e) {
+        console.error(`Document ${document.id}: migration failed:`, e.message);
+        summary.failed++;
+      }
+    }
+
+    console.log(`Done. ${summary.migrated} migrated, ${summary.missing} missing, ${summary.failed} failed.`);
+    if (summary.failed) process.exitCode = 1;
+  } catch (e) {
+    console.error('Error migrating documents:', e);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main();
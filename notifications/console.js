@@ -0,0 +1,7 @@
+// Prints notifications instead of sending them (development default).
+module.exports = (config) => ({
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`[${config.channel}] to ${to}${subject ? ` | ${subject}` : ''}\n${text}`);
+  },
+});
@@ -0,0 +1,15 @@
+// Appends each notification as a JSON line to <outboxDir>/<channel>.jsonl (local testing).
+const fs = require('fs');
+const path = require('path');
+
+module.exports = (config) => {
+  const outboxPath = path.join(config.outboxDir, `${config.channel}.jsonl`);
+
+  return {
+    name: 'file',
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(config.outboxDir, { recursive: true });
+      await fs.promises.appendFile(outboxPath, `${JSON.stringify({ to, subject, text, sentAt: new Date() })}\n`);
+    },
+  };
+};
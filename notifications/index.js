@@ -0,0 +1,52 @@
+// ------------------
+// CUSTOMER NOTIFICATION TRANSPORTS
+// ------------------
+// The server renders a template (see templates.js) and hands it to `transports.email` or
+// `transports.sms`, whose `send({ to, subject, text })` throws when delivery fails.
+// NOTIFY_EMAIL_TRANSPORT: "console" (default), "file" or "smtp".
+// NOTIFY_SMS_TRANSPORT:   "console" (default), "file" or "gateway" (HTTP SMS gateway).
+// The file transport appends JSON lines to NOTIFY_OUTBOX_DIR/<channel>.jsonl for local testing.
+// With NODE_ENV=production the console and file transports are refused: notifications carry
+// password reset and verification codes, which must not end up in logs or on disk.
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+const createSmsGatewayTransport = require('./sms_gateway');
+
+const TRANSPORTS = {
+  email: { console: createConsoleTransport, file: createFileTransport, smtp: createSmtpTransport },
+  sms: { console: createConsoleTransport, file: createFileTransport, gateway: createSmsGatewayTransport },
+};
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const loadNotificationConfig = (env = process.env) => ({
+  channels: (env.NOTIFY_CHANNELS || 'email,sms').split(',').map((channel) => channel.trim()).filter(Boolean),
+  email: { transport: env.NOTIFY_EMAIL_TRANSPORT || 'console', from: env.NOTIFY_EMAIL_FROM || 'no-reply@aditi.local', smtpUrl: env.SMTP_URL },
+  sms: { transport: env.NOTIFY_SMS_TRANSPORT || 'console', gatewayUrl: env.SMS_GATEWAY_URL, gatewayToken: env.SMS_GATEWAY_TOKEN, senderId: env.SMS_SENDER_ID },
+  outboxDir: path.resolve(__dirname, '..', env.NOTIFY_OUTBOX_DIR || 'data/outbox'),
+  timeoutMs: Number(env.NOTIFY_TIMEOUT_MS || 10000),
+  production: env.NODE_ENV === 'production',
+});
+
+// Returns { channels, email, sms } with a transport for every enabled channel.
+const createNotificationTransports = (config = loadNotificationConfig()) => {
+  const transports = { channels: config.channels };
+  for (const channel of config.channels) {
+    const available = TRANSPORTS[channel];
+    if (!available) {
+      throw new Error(`Unknown notification channel "${channel}". Expected one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    const factory = available[config[channel].transport];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport "${config[channel].transport}". Expected one of: ${Object.keys(available).join(', ')}.`);
+    }
+    if (config.production && DEVELOPMENT_TRANSPORTS.includes(config[channel].transport)) {
+      throw new Error(`The "${config[channel].transport}" ${channel} transport is for development only; configure a real one for NODE_ENV=production.`);
+    }
+    transports[channel] = factory({ ...config, ...config[channel], channel });
+  }
+  return transports;
+};
+
+module.exports = { createNotificationTransports, loadNotificationConfig, ...require('./templates') };
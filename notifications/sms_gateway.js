@@ -0,0 +1,29 @@
+// SMS through an HTTP gateway: POSTs { to, sender, message } as JSON to SMS_GATEWAY_URL
+// with SMS_GATEWAY_TOKEN as a bearer token. Mobile numbers are stored without the country code.
+module.exports = (config) => {
+  if (!config.gatewayUrl) {
+    throw new Error('SMS_GATEWAY_URL must be set when NOTIFY_SMS_TRANSPORT is "gateway".');
+  }
+
+  return {
+    name: 'gateway',
+    async send({ to, text }) {
+      const response = await fetch(config.gatewayUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.gatewayToken ? { Authorization: `Bearer ${config.gatewayToken}` } : {}),
+        },
+        body: JSON.stringify({ to: `+91${to}`, sender: config.senderId, message: text }),
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      if (!response.ok) {
+        const error = new Error(`SMS gateway responded with ${response.status}.`);
+        error.status = response.status;
+        throw error;
+      }
+      const body = await response.json().catch(() => ({}));
+      return { providerMessageId: body.id || body.messageId };
+    },
+  };
+};
@@ -0,0 +1,17 @@
+// Notification templates per event, rendered in the assessment's (or customer's) language. The
+// wording lives in the i18n catalogs under "notifications.<event>" as `subject` and `text`;
+// `{placeholders}` are filled from the params passed to renderNotification; SMS uses `text` only.
+const { LANGUAGES, DEFAULT_LANGUAGE, translate } = require('../i18n');
+
+const NOTIFICATION_EVENTS = Object.keys(LANGUAGES[DEFAULT_LANGUAGE].catalog.notifications);
+
+// params: { name, assessmentId?, status?, docTypes?, code?, minutes? }. Unknown languages fall back to English.
+const renderNotification = (event, language, params) => {
+  if (!NOTIFICATION_EVENTS.includes(event)) throw new Error(`No notification template for "${event}".`);
+  return {
+    subject: translate(language, `notifications.${event}.subject`, params),
+    text: translate(language, `notifications.${event}.text`, params),
+  };
+};
+
+module.exports = { renderNotification, NOTIFICATION_EVENTS };
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."BankUser" ADD COLUMN     "active" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'reviewer';
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."Assessment" ADD COLUMN     "policyId" INTEGER,
+ADD COLUMN     "product" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."DecisionPolicy" (
+    "id" SERIAL NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "state" TEXT NOT NULL DEFAULT 'draft',
+    "rules" JSONB NOT NULL,
+    "createdBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "activatedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DecisionPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DecisionPolicy_version_key" ON "public"."DecisionPolicy"("version");
+
+-- AddForeignKey
+ALTER TABLE "public"."Assessment" ADD CONSTRAINT "Assessment_policyId_fkey" FOREIGN KEY ("policyId") REFERENCES "public"."DecisionPolicy"("id") ON DELETE SET NULL ON UPDATE CASCADE;
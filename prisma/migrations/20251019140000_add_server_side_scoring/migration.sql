@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."Assessment" ADD COLUMN     "clientScore" INTEGER,
+ADD COLUMN     "scoreMismatch" BOOLEAN NOT NULL DEFAULT false;
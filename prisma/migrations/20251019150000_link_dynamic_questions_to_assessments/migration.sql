@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."DynamicQuestion" ADD COLUMN     "vetted" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."AssessmentQuestion" (
+    "assessmentId" INTEGER NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "AssessmentQuestion_pkey" PRIMARY KEY ("assessmentId","questionId")
+);
+
+-- CreateIndex
+CREATE INDEX "DynamicQuestion_language_vetted_idx" ON "public"."DynamicQuestion"("language", "vetted");
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentQuestion" ADD CONSTRAINT "AssessmentQuestion_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentQuestion" ADD CONSTRAINT "AssessmentQuestion_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "public"."DynamicQuestion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
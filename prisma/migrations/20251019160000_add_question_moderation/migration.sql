@@ -0,0 +1,51 @@
+-- DropIndex
+DROP INDEX "public"."DynamicQuestion_language_vetted_idx";
+
+-- AlterTable
+ALTER TABLE "public"."DynamicQuestion" ADD COLUMN     "sourceQuestionId" TEXT,
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'unreviewed',
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- Vetted questions become approved
+UPDATE "public"."DynamicQuestion" SET "status" = 'approved' WHERE "vetted" = true;
+
+-- AlterTable
+ALTER TABLE "public"."DynamicQuestion" DROP COLUMN "vetted";
+
+-- AlterTable
+ALTER TABLE "public"."AssessmentQuestion" ADD COLUMN     "versionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."DynamicQuestionVersion" (
+    "id" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "question" TEXT NOT NULL,
+    "options" JSONB NOT NULL,
+    "editedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DynamicQuestionVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing questions get their current wording as version 1
+INSERT INTO "public"."DynamicQuestionVersion" ("id", "questionId", "version", "question", "options", "createdAt")
+SELECT gen_random_uuid()::text, "id", 1, "question", "options", "createdAt" FROM "public"."DynamicQuestion";
+
+UPDATE "public"."AssessmentQuestion" aq SET "versionId" = v."id"
+FROM "public"."DynamicQuestionVersion" v WHERE v."questionId" = aq."questionId";
+
+-- CreateIndex
+CREATE INDEX "DynamicQuestion_language_status_idx" ON "public"."DynamicQuestion"("language", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DynamicQuestionVersion_questionId_version_key" ON "public"."DynamicQuestionVersion"("questionId", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."DynamicQuestion" ADD CONSTRAINT "DynamicQuestion_sourceQuestionId_fkey" FOREIGN KEY ("sourceQuestionId") REFERENCES "public"."DynamicQuestion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DynamicQuestionVersion" ADD CONSTRAINT "DynamicQuestionVersion_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "public"."DynamicQuestion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentQuestion" ADD CONSTRAINT "AssessmentQuestion_versionId_fkey" FOREIGN KEY ("versionId") REFERENCES "public"."DynamicQuestionVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
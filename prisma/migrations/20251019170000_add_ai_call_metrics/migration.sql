@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "public"."AiCallMetric" (
+    "id" SERIAL NOT NULL,
+    "task" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL,
+    "durationMs" INTEGER NOT NULL,
+    "model" TEXT,
+    "errors" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AiCallMetric_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AiCallMetric_task_createdAt_idx" ON "public"."AiCallMetric"("task", "createdAt");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."AssessmentSummary" (
+    "id" SERIAL NOT NULL,
+    "assessmentId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "text" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "generatedBy" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AssessmentSummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AssessmentSummary_assessmentId_version_key" ON "public"."AssessmentSummary"("assessmentId", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentSummary" ADD CONSTRAINT "AssessmentSummary_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "public"."AssessmentStatusChange" (
+    "id" SERIAL NOT NULL,
+    "assessmentId" INTEGER NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "bankUserId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AssessmentStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AssessmentStatusChange_assessmentId_createdAt_idx" ON "public"."AssessmentStatusChange"("assessmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentStatusChange" ADD CONSTRAINT "AssessmentStatusChange_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentStatusChange" ADD CONSTRAINT "AssessmentStatusChange_bankUserId_fkey" FOREIGN KEY ("bankUserId") REFERENCES "public"."BankUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing assessments start their history at their current status
+INSERT INTO "public"."AssessmentStatusChange" ("assessmentId", "fromStatus", "toStatus", "reason", "actorType", "createdAt")
+SELECT "id", NULL, "status", 'Recorded before status history was introduced', 'system', "createdAt" FROM "public"."Assessment";
+
+-- Keep the history append-only
+CREATE FUNCTION "public"."prevent_status_change_mutation"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'AssessmentStatusChange is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AssessmentStatusChange_append_only"
+BEFORE UPDATE OR DELETE ON "public"."AssessmentStatusChange"
+FOR EACH ROW EXECUTE FUNCTION "public"."prevent_status_change_mutation"();
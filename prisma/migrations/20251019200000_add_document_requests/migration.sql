@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "public"."DocumentRequest" (
+    "id" SERIAL NOT NULL,
+    "assessmentId" INTEGER NOT NULL,
+    "requestedBy" INTEGER,
+    "note" TEXT,
+    "dueDate" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DocumentRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."DocumentRequestItem" (
+    "id" SERIAL NOT NULL,
+    "requestId" INTEGER NOT NULL,
+    "docType" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'requested',
+    "rejectionReason" TEXT,
+    "documentId" INTEGER,
+    "reviewedBy" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentRequestItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DocumentRequestItem_requestId_idx" ON "public"."DocumentRequestItem"("requestId");
+
+-- CreateIndex
+CREATE INDEX "DocumentRequestItem_docType_status_idx" ON "public"."DocumentRequestItem"("docType", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."DocumentRequest" ADD CONSTRAINT "DocumentRequest_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DocumentRequestItem" ADD CONSTRAINT "DocumentRequestItem_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "public"."DocumentRequest"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DocumentRequestItem" ADD CONSTRAINT "DocumentRequestItem_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "public"."Document"("id") ON DELETE SET NULL ON UPDATE CASCADE;
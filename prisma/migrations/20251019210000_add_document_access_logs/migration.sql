@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."Document" ADD COLUMN     "mimeType" TEXT,
+ADD COLUMN     "size" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."DocumentAccessLog" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "principalType" TEXT,
+    "principalId" INTEGER,
+    "action" TEXT NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DocumentAccessLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DocumentAccessLog_documentId_createdAt_idx" ON "public"."DocumentAccessLog"("documentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."DocumentAccessLog" ADD CONSTRAINT "DocumentAccessLog_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "public"."Document"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."Document" ADD COLUMN     "contentHash" TEXT,
+ADD COLUMN     "storageKey" TEXT,
+ALTER COLUMN "filePath" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Document_storageKey_key" ON "public"."Document"("storageKey");
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."Assessment" ADD COLUMN     "documentMismatch" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."DocumentAnalysis" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "suggestedDocType" TEXT,
+    "confidence" DOUBLE PRECISION,
+    "extractedFields" JSONB,
+    "mismatches" JSONB,
+    "textLength" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DocumentAnalysis_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentAnalysis_documentId_key" ON "public"."DocumentAnalysis"("documentId");
+
+-- CreateIndex
+CREATE INDEX "DocumentAnalysis_status_createdAt_idx" ON "public"."DocumentAnalysis"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."DocumentAnalysis" ADD CONSTRAINT "DocumentAnalysis_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "public"."Document"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- DropForeignKey
+ALTER TABLE "public"."DocumentAccessLog" DROP CONSTRAINT "DocumentAccessLog_documentId_fkey";
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "senderId" INTEGER,
+ADD COLUMN     "senderType" TEXT;
+
+-- Backfill sender types from the free-text labels clients used to send
+UPDATE "public"."Message" SET "senderType" = CASE
+    WHEN "sender" = 'System' THEN 'system'
+    WHEN "sender" = 'Bank Manager' THEN 'bank'
+    ELSE 'customer'
+END;
+
+ALTER TABLE "public"."Message" ALTER COLUMN "senderType" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "public"."MessageReadMarker" (
+    "assessmentId" INTEGER NOT NULL,
+    "principalType" TEXT NOT NULL,
+    "principalId" INTEGER NOT NULL,
+    "lastReadMessageId" INTEGER NOT NULL,
+    "readAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MessageReadMarker_pkey" PRIMARY KEY ("assessmentId","principalType","principalId")
+);
+
+-- CreateIndex
+CREATE INDEX "Message_assessmentId_id_idx" ON "public"."Message"("assessmentId", "id");
+
+-- CreateIndex
+CREATE INDEX "MessageReadMarker_principalType_principalId_idx" ON "public"."MessageReadMarker"("principalType", "principalId");
+
+-- AddForeignKey
+ALTER TABLE "public"."MessageReadMarker" ADD CONSTRAINT "MessageReadMarker_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "public"."NotificationDelivery" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "assessmentId" INTEGER,
+    "event" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "providerMessageId" TEXT,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_status_nextAttemptAt_idx" ON "public"."NotificationDelivery"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_assessmentId_idx" ON "public"."NotificationDelivery"("assessmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."NotificationDelivery" ADD CONSTRAINT "NotificationDelivery_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."NotificationDelivery" ADD CONSTRAINT "NotificationDelivery_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Assessment_status_createdAt_idx" ON "public"."Assessment"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Assessment_createdAt_idx" ON "public"."Assessment"("createdAt");
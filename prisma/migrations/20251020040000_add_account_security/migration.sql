@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."BankUser" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."OneTimeCode" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "purpose" TEXT NOT NULL,
+    "target" TEXT,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OneTimeCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OneTimeCode_customerId_purpose_idx" ON "public"."OneTimeCode"("customerId", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "public"."OneTimeCode" ADD CONSTRAINT "OneTimeCode_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
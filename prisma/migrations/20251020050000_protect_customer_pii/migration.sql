@@ -0,0 +1,44 @@
+-- The plaintext unique indexes on pan and accountNumber stay until existing customers have blind
+-- indexes, so PAN and account numbers remain unique in between. Deploy order:
+--   1. this migration (blind-index columns and their unique indexes, empty for existing customers),
+--   2. node encrypt_customer_pii.js (encrypts PAN and account numbers and fills the blind indexes),
+--   3. 20251020110000_drop_plaintext_pii_unique_indexes, which refuses to run before step 2.
+
+-- AlterTable
+ALTER TABLE "public"."Customer" ALTER COLUMN "mobile" DROP NOT NULL,
+ALTER COLUMN "pan" DROP NOT NULL,
+ALTER COLUMN "accountNumber" DROP NOT NULL,
+ADD COLUMN     "panIndex" TEXT,
+ADD COLUMN     "accountNumberIndex" TEXT,
+ADD COLUMN     "erasedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."ErasureRequest" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "reason" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reviewedById" INTEGER,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ErasureRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_panIndex_key" ON "public"."Customer"("panIndex");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_accountNumberIndex_key" ON "public"."Customer"("accountNumberIndex");
+
+-- CreateIndex
+CREATE INDEX "ErasureRequest_status_createdAt_idx" ON "public"."ErasureRequest"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ErasureRequest_customerId_idx" ON "public"."ErasureRequest"("customerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ErasureRequest" ADD CONSTRAINT "ErasureRequest_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "public"."AssessmentDraft" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "product" TEXT,
+    "questionIds" JSONB NOT NULL,
+    "questionSource" TEXT NOT NULL,
+    "answers" JSONB NOT NULL DEFAULT '{}',
+    "answeredCount" INTEGER NOT NULL DEFAULT 0,
+    "lastQuestionId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "submittedAt" TIMESTAMP(3),
+    "assessmentId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AssessmentDraft_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AssessmentDraft_assessmentId_key" ON "public"."AssessmentDraft"("assessmentId");
+
+-- CreateIndex
+CREATE INDEX "AssessmentDraft_customerId_status_idx" ON "public"."AssessmentDraft"("customerId", "status");
+
+-- CreateIndex
+CREATE INDEX "AssessmentDraft_status_expiresAt_idx" ON "public"."AssessmentDraft"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "AssessmentDraft_createdAt_idx" ON "public"."AssessmentDraft"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentDraft" ADD CONSTRAINT "AssessmentDraft_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."Customer"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."AssessmentDraft" ADD CONSTRAINT "AssessmentDraft_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "public"."Assessment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Customer" ADD COLUMN     "language" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "textKey" TEXT,
+ADD COLUMN     "textParams" JSONB;
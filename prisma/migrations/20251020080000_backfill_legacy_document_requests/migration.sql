@@ -0,0 +1,50 @@
+-- Backfill document requests sent before DocumentRequest existed. They were stored only as bank
+-- messages whose text is {"type":"document_request","docTypes":[...]}. Each becomes a request with
+-- one item per document type; an item is "uploaded" (linked to the document) when a document of
+-- that type was uploaded to the assessment after the request, otherwise it is still "requested".
+-- Message texts that are not valid JSON are skipped rather than failing the migration.
+DO $$
+DECLARE
+    legacy RECORD;
+    body JSONB;
+    new_request_id INTEGER;
+BEGIN
+    FOR legacy IN
+        SELECT "id", "assessmentId", "text", "createdAt"
+        FROM "public"."Message"
+        WHERE "senderType" = 'bank' AND "text" LIKE '{%document\_request%}'
+        ORDER BY "id"
+    LOOP
+        BEGIN
+            body := legacy."text"::jsonb;
+        EXCEPTION WHEN others THEN
+            CONTINUE;
+        END;
+        IF jsonb_typeof(body) <> 'object'
+            OR body->>'type' IS DISTINCT FROM 'document_request'
+            OR jsonb_typeof(body->'docTypes') IS DISTINCT FROM 'array'
+            OR jsonb_array_length(body->'docTypes') = 0 THEN
+            CONTINUE;
+        END IF;
+
+        INSERT INTO "public"."DocumentRequest" ("assessmentId", "createdAt")
+        VALUES (legacy."assessmentId", legacy."createdAt")
+        RETURNING "id" INTO new_request_id;
+
+        INSERT INTO "public"."DocumentRequestItem" ("requestId", "docType", "status", "documentId", "updatedAt")
+        SELECT new_request_id, requested."docType",
+            CASE WHEN uploaded."id" IS NULL THEN 'requested' ELSE 'uploaded' END,
+            uploaded."id",
+            COALESCE(uploaded."uploadDate", legacy."createdAt")
+        FROM (SELECT DISTINCT jsonb_array_elements_text(body->'docTypes') AS "docType") AS requested
+        LEFT JOIN LATERAL (
+            SELECT "id", "uploadDate"
+            FROM "public"."Document"
+            WHERE "assessmentId" = legacy."assessmentId"
+                AND "docType" = requested."docType"
+                AND "uploadDate" >= legacy."createdAt"
+            ORDER BY "uploadDate", "id"
+            LIMIT 1
+        ) AS uploaded ON TRUE;
+    END LOOP;
+END $$;
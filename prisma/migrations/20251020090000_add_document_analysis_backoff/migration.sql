@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "public"."DocumentAnalysis_status_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "public"."DocumentAnalysis" ADD COLUMN     "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "DocumentAnalysis_status_nextAttemptAt_idx" ON "public"."DocumentAnalysis"("status", "nextAttemptAt");
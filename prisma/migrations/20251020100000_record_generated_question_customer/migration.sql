@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."DynamicQuestion" ADD COLUMN     "generatedForId" INTEGER;
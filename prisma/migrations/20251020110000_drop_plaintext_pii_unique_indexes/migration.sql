@@ -0,0 +1,20 @@
+-- Uniqueness of PAN and account numbers moves to the blind indexes (see 20251020050000_protect_customer_pii).
+-- Fails while a customer still has a value without a blind index: run `node encrypt_customer_pii.js`,
+-- then `npx prisma migrate resolve --rolled-back 20251020110000_drop_plaintext_pii_unique_indexes`
+-- and deploy again.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM "public"."Customer"
+        WHERE ("pan" IS NOT NULL AND "panIndex" IS NULL)
+            OR ("accountNumber" IS NOT NULL AND "accountNumberIndex" IS NULL)
+    ) THEN
+        RAISE EXCEPTION 'Some customers have no blind index yet; run node encrypt_customer_pii.js before this migration.';
+    END IF;
+END $$;
+
+-- DropIndex
+DROP INDEX "public"."Customer_pan_key";
+
+-- DropIndex
+DROP INDEX "public"."Customer_accountNumber_key";
@@ -0,0 +1,86 @@
+// ------------------
+// CUSTOMER PII PROTECTION
+// ------------------
+// PAN and account number are stored encrypted (AES-256-GCM, "enc1:<iv>:<tag>:<ciphertext>" in
+// base64) next to a keyed blind index (HMAC-SHA256 of the normalized value), so exact-match
+// lookups and unique constraints work without the plaintext ever reaching the database.
+// PII_ENCRYPTION_KEY and PII_INDEX_KEY are 32-byte secrets given as 64 hex characters or base64.
+// Values that are not in the encrypted format are passed through by `decrypt`, so rows written
+// before encrypt_customer_pii.js has been run keep working.
+const crypto = require('crypto');
+const { maskValue, maskFields, MASKED_FIELDS } = require('./masking');
+
+const ENCRYPTED_PREFIX = 'enc1:';
+
+// Encrypted customer fields, the column holding each one's blind index, and how values are
+// normalized before indexing so "abcde1234f" and "ABCDE1234F" find the same customer.
+const PROTECTED_FIELDS = {
+  pan: { indexField: 'panIndex', normalize: (value) => value.trim().toUpperCase() },
+  accountNumber: { indexField: 'accountNumberIndex', normalize: (value) => value.replace(/\D/g, '') },
+};
+
+const parseKey = (value, name) => {
+  if (!value) throw new Error(`${name} must be set to protect customer PII.`);
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error(`${name} must be 32 bytes (64 hex characters or base64).`);
+  return key;
+};
+
+const createPiiProtection = (env = process.env) => {
+  const encryptionKey = parseKey(env.PII_ENCRYPTION_KEY, 'PII_ENCRYPTION_KEY');
+  const indexKey = parseKey(env.PII_INDEX_KEY, 'PII_INDEX_KEY');
+
+  const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+  const encrypt = (value) => {
+    if (value === null || value === undefined) return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+  };
+
+  const decrypt = (value) => {
+    if (!isEncrypted(value)) return value;
+    const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  };
+
+  const blindIndex = (field, value) => crypto
+    .createHmac('sha256', indexKey)
+    .update(`${field}:${PROTECTED_FIELDS[field].normalize(value)}`)
+    .digest('hex');
+
+  // Turns { pan, accountNumber, ... } into the columns to write: encrypted values plus their blind
+  // indexes. Other fields are left untouched; null clears both columns.
+  const protect = (data) => {
+    const result = { ...data };
+    for (const [field, { indexField, normalize }] of Object.entries(PROTECTED_FIELDS)) {
+      if (!(field in data)) continue;
+      const value = data[field];
+      result[field] = value == null ? null : encrypt(normalize(value));
+      result[indexField] = value == null ? null : blindIndex(field, value);
+    }
+    return result;
+  };
+
+  // Where-clause matching a customer by a protected field's plaintext value.
+  const lookup = (field, value) => ({ [PROTECTED_FIELDS[field].indexField]: blindIndex(field, value) });
+
+  // Decrypted copy of a customer record, without the blind index columns.
+  const reveal = (customer) => {
+    if (!customer) return customer;
+    const result = { ...customer };
+    for (const [field, { indexField }] of Object.entries(PROTECTED_FIELDS)) {
+      if (field in result) result[field] = decrypt(result[field]);
+      delete result[indexField];
+    }
+    return result;
+  };
+
+  return { encrypt, decrypt, isEncrypted, blindIndex, protect, lookup, reveal };
+};
+
+module.exports = { createPiiProtection, PROTECTED_FIELDS, maskValue, maskFields, MASKED_FIELDS };
@@ -0,0 +1,40 @@
+// Role-based masking of customer PII in API responses. Reviewers only see enough to recognise a
+// customer; senior approvers and admins see full values; customers see their own contact details
+// but only the last digits of their PAN and account number (the data export has everything).
+const MASKED_FIELDS = {
+  customer: ['pan', 'accountNumber'],
+  reviewer: ['pan', 'accountNumber', 'mobile', 'email'],
+  senior_approver: [],
+  admin: [],
+};
+
+const keepLast = (value, visible) => (value.length <= visible ? value : '*'.repeat(value.length - visible) + value.slice(-visible));
+
+const MASKS = {
+  pan: (value) => keepLast(value, 4),
+  accountNumber: (value) => keepLast(value, 4),
+  mobile: (value) => keepLast(value, 2),
+  email: (value) => {
+    const [local, domain] = value.split('@');
+    return domain ? `${local[0]}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}` : keepLast(value, 2);
+  },
+};
+
+// viewer: "customer" or a bank role. Unknown viewers get everything masked.
+const maskValue = (field, value, viewer) => {
+  const masked = MASKED_FIELDS[viewer] || Object.keys(MASKS);
+  return masked.includes(field) && typeof value === 'string' ? MASKS[field](value) : value;
+};
+
+// Masks whichever of pan/accountNumber/mobile/email the record has. Customer records must already
+// be decrypted.
+const maskFields = (record, viewer) => {
+  if (!record) return record;
+  const result = { ...record };
+  for (const field of Object.keys(MASKS)) {
+    if (field in result) result[field] = maskValue(field, result[field], viewer);
+  }
+  return result;
+};
+
+module.exports = { maskValue, maskFields, MASKED_FIELDS };
@@ -1,31 +1,42 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const dotenv = require('dotenv');
+
+dotenv.config();
 const prisma = new PrismaClient();
 
+// Bootstraps the first bank admin from BANK_ADMIN_USERNAME / BANK_ADMIN_PASSWORD.
+// Further staff accounts are managed through the /api/bank-users admin routes.
 async function main() {
-  const adminPassword = 'Aditi#0409';
+  const username = process.env.BANK_ADMIN_USERNAME;
+  const adminPassword = process.env.BANK_ADMIN_PASSWORD;
+  if (!username || !adminPassword) {
+    console.error('BANK_ADMIN_USERNAME and BANK_ADMIN_PASSWORD must be set to seed the admin user.');
+    process.exit(1);
+  }
   const hashedPassword = await bcrypt.hash(adminPassword, 10);
 
   try {
     const existingUser = await prisma.bankUser.findUnique({
-      where: { username: 'ADITI_ADMIN' },
+      where: { username },
     });
 
     if (!existingUser) {
       await prisma.bankUser.create({
         data: {
-          username: 'ADITI_ADMIN',
+          username,
           password: hashedPassword, // Store the hashed password
+          role: 'admin',
         },
       });
-      console.log('Bank user "ADITI_ADMIN" created and hashed password stored!');
+      console.log(`Bank admin "${username}" created and hashed password stored!`);
     } else {
-      console.log('Bank user "ADITI_ADMIN" already exists. Password will be updated.');
+      console.log(`Bank user "${username}" already exists. Password and admin role will be updated.`);
       await prisma.bankUser.update({
-        where: { username: 'ADITI_ADMIN' },
-        data: { password: hashedPassword },
+        where: { username },
+        data: { password: hashedPassword, role: 'admin', active: true },
       });
-      console.log('Bank user "ADITI_ADMIN" password updated!');
+      console.log(`Bank admin "${username}" updated!`);
     }
   } catch (e) {
     console.error('Error seeding bank user:', e);
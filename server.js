@@ -2,15 +2,24 @@
 // ------------------
 // IMPORTS
 // ------------------
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const express = require('express');
 const dotenv = require('dotenv');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { createLlmProvider, isRateLimitError } = require('./llm');
+const { createDocumentStorage } = require('./storage');
+const { extractText, classifyDocument, extractDocumentFields } = require('./extraction');
+const { createNotificationTransports, renderNotification } = require('./notifications');
+const { createPiiProtection, PROTECTED_FIELDS, maskValue, maskFields } = require('./privacy');
+const { LANGUAGE_NAMES, DEFAULT_LANGUAGE, translate, negotiateLanguage } = require('./i18n');
+const { validateRequest, sendValidationError, rules: v } = require('./validation');
 
 // ------------------
 // INITIALIZATION
@@ -19,7 +28,56 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 5000;
 const prisma = new PrismaClient();
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = createLlmProvider();
+const documentStorage = createDocumentStorage();
+const notificationTransports = createNotificationTransports();
+const pii = createPiiProtection();
+
+// Session tokens: short-lived signed access tokens plus rotating refresh tokens
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set to sign session tokens.');
+}
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+// Bank staff roles, lowest privilege first
+const BANK_ROLES = ['reviewer', 'senior_approver', 'admin'];
+
+// Assessment lifecycle states and the moves bank users may make between them
+const ASSESSMENT_STATUSES = ['Pending', 'Manual Review', 'Documents Requested', 'Approved', 'Rejected', 'Withdrawn'];
+// Assessments still awaiting a final decision
+const OPEN_ASSESSMENT_STATUSES = ['Pending', 'Manual Review', 'Documents Requested'];
+const STATUS_TRANSITIONS = {
+  Pending: ['Manual Review', 'Documents Requested', 'Approved', 'Rejected', 'Withdrawn'],
+  'Manual Review': ['Documents Requested', 'Approved', 'Rejected', 'Withdrawn'],
+  'Documents Requested': ['Manual Review', 'Approved', 'Rejected', 'Withdrawn'],
+  Approved: ['Withdrawn'],
+  Rejected: ['Manual Review', 'Approved'], // Overrides: senior approvers and admins only
+  Withdrawn: [],
+};
+
+// Customer fields that must be unique, so changing them needs a one-time code; value is the code purpose
+const VERIFIED_PROFILE_FIELDS = { email: 'email_change', mobile: 'mobile_change', accountNumber: 'account_number_change' };
+
+// Lifecycle of a customer's data erasure request
+const ERASURE_REQUEST_STATUSES = ['pending', 'processing', 'completed', 'rejected'];
+
+// Time buckets the analytics endpoints can report in
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Document types customers can be asked for and upload
+const DOCUMENT_TYPES = ['pan_card', 'aadhaar_card', 'salary_slip', 'bank_statement', 'address_proof', 'income_tax_return', 'other'];
+// Lifecycle of each requested document: requested -> uploaded -> accepted | rejected (-> uploaded again)
+const OPEN_DOCUMENT_ITEM_STATUSES = ['requested', 'rejected'];
+
+// Dynamic questions: "ai" generates with Gemini (served flagged as unreviewed) and falls back to
+// the approved question bank when generation fails; "bank" only ever serves approved questions.
+const QUESTION_SOURCE = process.env.QUESTION_SOURCE || 'ai';
+const DYNAMIC_QUESTION_COUNT = 7;
+const QUESTION_STATUSES = ['unreviewed', 'approved', 'retired'];
+// How many times an invalid AI response is sent back to the model for repair
+const AI_REPAIR_ATTEMPTS = Number(process.env.AI_REPAIR_ATTEMPTS || 2);
 
 // ------------------
 // MIDDLEWARE
@@ -27,301 +85,3255 @@ const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 app.use(cors());
 app.use(express.json());
 
-// Multer setup for file storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+// Language of the text the server writes (see i18n/): the signed-in customer's language, on
+// assessment routes the assessment's, otherwise the Accept-Language header, otherwise English.
+// authenticate and requireAssessmentAccess refine req.language; req.t always uses the current one.
+app.use((req, res, next) => {
+  req.language = negotiateLanguage(req.get('Accept-Language')) || DEFAULT_LANGUAGE;
+  req.t = (key, params) => translate(req.language, key, params);
+  next();
+});
+
+// ------------------
+// DOCUMENT STORAGE
+// ------------------
+// Uploads go to the configured storage backend (see storage/) and are only served through signed download links.
+const MAX_DOCUMENT_BYTES = Number(process.env.MAX_DOCUMENT_MB || 10) * 1024 * 1024;
+const DOCUMENT_LINK_TTL_SECONDS = Number(process.env.DOCUMENT_LINK_TTL_SECONDS || 300);
+
+// Accepted MIME types with their file extension and leading magic bytes
+const ALLOWED_DOCUMENT_MIME_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: Buffer.from('%PDF-') },
+  'image/jpeg': { extension: '.jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: '.png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+};
+
+// Files are buffered in memory (bounded by the size limit) and written to storage once checked.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 },
+  fileFilter: function (req, file, cb) {
+    if (!ALLOWED_DOCUMENT_MIME_TYPES[file.mimetype]) {
+      return cb(Object.assign(new Error('Unsupported file type.'), { code: 'UNSUPPORTED_FILE_TYPE' }));
+    }
+    cb(null, true);
+  },
+});
+
+// Runs multer for a single document and turns its errors into validation responses.
+const receiveDocument = (req, res, next) => upload.single('document')(req, res, (error) => {
+  if (!error) return next();
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return sendValidationError(res, [{ field: 'document', key: 'validation.documentTooLarge', params: { megabytes: MAX_DOCUMENT_BYTES / (1024 * 1024) } }]);
+  }
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return sendValidationError(res, [{ field: 'document', key: 'validation.documentType' }]);
+  }
+  if (error instanceof multer.MulterError) {
+    return sendValidationError(res, [{ field: error.field || 'document', message: error.message }]);
+  }
+  next(error);
+});
+
+// Checks the file really starts with the magic bytes of its declared MIME type.
+const hasExpectedSignature = (buffer, mimeType) => {
+  const { signature } = ALLOWED_DOCUMENT_MIME_TYPES[mimeType];
+  return buffer.subarray(0, signature.length).equals(signature);
+};
+
+// The extension comes from the verified MIME type, never from the client's filename.
+const buildDocumentKey = (assessmentId, mimeType) => (
+  `documents/${assessmentId}/${uuidv4()}${ALLOWED_DOCUMENT_MIME_TYPES[mimeType].extension}`
+);
+
+// Documents uploaded before storage keys existed are still read from their local path until migrated.
+const openDocument = async (document) => {
+  if (document.storageKey) return documentStorage.get(document.storageKey);
+  if (!document.filePath) return null;
+  const absolutePath = path.resolve(__dirname, document.filePath);
+  try {
+    await fs.promises.access(absolutePath);
+  } catch {
+    return null;
+  }
+  return fs.createReadStream(absolutePath);
+};
+
+// Download links are bound to a document, the principal they were issued to and an expiry time.
+const signDocumentLink = (documentId, principal, expires) => crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update(`document:${documentId}:${principal}:${expires}`)
+  .digest('hex');
+
+const createDocumentLink = (documentId, auth) => {
+  const principal = `${auth.type}:${auth.id}`;
+  const expires = Math.floor(Date.now() / 1000) + DOCUMENT_LINK_TTL_SECONDS;
+  const signature = signDocumentLink(documentId, principal, expires);
+  const query = new URLSearchParams({ principal, expires: String(expires), signature });
+  return { url: `/api/documents/${documentId}/download?${query}`, expiresAt: new Date(expires * 1000) };
+};
+
+// Returns the principal ({ type, id }) a link was issued to, or null if it is forged or expired.
+const verifyDocumentLink = (documentId, { principal, expires, signature }) => {
+  if (expires < Math.floor(Date.now() / 1000)) return null;
+  const expected = Buffer.from(signDocumentLink(documentId, principal, expires), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return null;
+  const [type, id] = principal.split(':');
+  return { type, id: Number(id) };
+};
+
+const logDocumentAccess = (documentId, auth, action, req) => prisma.documentAccessLog.create({
+  data: {
+    documentId,
+    principalType: auth ? auth.type : null,
+    principalId: auth ? auth.id : null,
+    action,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null,
   },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + uuidv4();
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+}).catch((error) => console.error('Failed to record document access:', error.message));
+
+// ------------------
+// DOCUMENT ANALYSIS PIPELINE
+// ------------------
+// Every upload gets a DocumentAnalysis row that a background loop in this process picks up:
+// text is extracted, the docType is classified and key fields are compared with the Customer record.
+// Rows are claimed with a conditional update, so several server instances can share the queue.
+const DOCUMENT_ANALYSIS_POLL_MS = Number(process.env.DOCUMENT_ANALYSIS_POLL_MS || 30000);
+const DOCUMENT_ANALYSIS_MAX_ATTEMPTS = Number(process.env.DOCUMENT_ANALYSIS_MAX_ATTEMPTS || 3);
+// Failed analyses are retried after 1, 2, 4... times this delay, like notification deliveries.
+const DOCUMENT_ANALYSIS_RETRY_BASE_MS = Number(process.env.DOCUMENT_ANALYSIS_RETRY_BASE_MS || 60000);
+// Analyses stuck in "processing" this long (e.g. after a crash) are put back in the queue.
+const DOCUMENT_ANALYSIS_STALE_MS = 10 * 60 * 1000;
+// Below this confidence a classification is only a suggestion and is not compared with the claimed docType.
+const DOC_TYPE_CONFIDENCE_THRESHOLD = 0.6;
+
+const detectMimeType = (buffer) => Object.keys(ALLOWED_DOCUMENT_MIME_TYPES)
+  .find((mimeType) => hasExpectedSignature(buffer, mimeType));
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z ]/g, ' ').split(/\s+/).filter(Boolean);
+
+// Compares extracted fields (and the classified docType) with what the customer and client claimed.
+const findDocumentMismatches = ({ fields, classification, claimedDocType, customer }) => {
+  const mismatches = [];
+  if (fields.pan && fields.pan !== customer.pan) {
+    mismatches.push({ field: 'pan', message: 'PAN on the document does not match the customer record.' });
+  }
+  if (fields.accountNumber && fields.accountNumber !== customer.accountNumber) {
+    mismatches.push({ field: 'accountNumber', message: 'Account number on the document does not match the customer record.' });
+  }
+  if (fields.name) {
+    const documentName = normalizeName(fields.name);
+    const customerName = normalizeName(`${customer.fname} ${customer.lname}`);
+    if (!customerName.every((part) => documentName.includes(part))) {
+      mismatches.push({ field: 'name', message: 'Name on the document does not match the customer record.' });
+    }
   }
+  if (claimedDocType && classification.docType && classification.confidence >= DOC_TYPE_CONFIDENCE_THRESHOLD
+    && classification.docType !== claimedDocType) {
+    mismatches.push({ field: 'docType', message: `Uploaded as ${claimedDocType} but looks like ${classification.docType}.` });
+  }
+  return mismatches;
+};
+
+// Extracted fields hold the PAN and account number as read from the document, so they are
+// encrypted at rest like the customer's own.
+const protectExtractedFields = (fields) => ({
+  ...fields,
+  pan: pii.encrypt(fields.pan),
+  accountNumber: pii.encrypt(fields.accountNumber),
 });
-const upload = multer({ storage: storage });
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+const maskAnalysis = (analysis, viewer) => (analysis && analysis.extractedFields
+  ? { ...analysis, extractedFields: maskFields(pii.reveal(analysis.extractedFields), viewer) }
+  : analysis);
+
+const analyseDocument = async (analysis) => {
+  const document = await prisma.document.findUnique({
+    where: { id: analysis.documentId },
+    include: { assessment: { include: { customer: true } } },
+  });
+  const content = await openDocument(document);
+  if (!content) throw new Error('Document file is missing.');
+  const buffer = await readStream(content);
+  const text = await extractText(buffer, document.mimeType || detectMimeType(buffer));
+
+  const classification = classifyDocument(text);
+  const fields = extractDocumentFields(text);
+  const mismatches = findDocumentMismatches({
+    fields,
+    classification,
+    claimedDocType: document.docType,
+    customer: pii.reveal(document.assessment.customer),
+  });
+
+  await prisma.documentAnalysis.update({
+    where: { id: analysis.id },
+    data: {
+      status: 'completed',
+      suggestedDocType: classification.docType,
+      confidence: classification.confidence,
+      extractedFields: protectExtractedFields(fields),
+      mismatches,
+      textLength: text.length,
+      error: null,
+      completedAt: new Date(),
+    },
+  });
+  if (mismatches.length) {
+    await prisma.assessment.update({ where: { id: document.assessmentId }, data: { documentMismatch: true } });
+  }
+};
+
+let documentAnalysisRunning = false;
+
+// Works through pending analyses one at a time; OCR is CPU-heavy, so there is no parallelism here.
+const runDocumentAnalysisQueue = async () => {
+  if (documentAnalysisRunning) return;
+  documentAnalysisRunning = true;
+  try {
+    await prisma.documentAnalysis.updateMany({
+      where: { status: 'processing', updatedAt: { lt: new Date(Date.now() - DOCUMENT_ANALYSIS_STALE_MS) } },
+      data: { status: 'pending' },
+    });
+    for (;;) {
+      const next = await prisma.documentAnalysis.findFirst({
+        where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+      });
+      if (!next) break;
+      const claimed = await prisma.documentAnalysis.updateMany({
+        where: { id: next.id, status: 'pending' },
+        data: { status: 'processing', attempts: { increment: 1 } },
+      });
+      if (!claimed.count) continue;
+      const attempts = next.attempts + 1;
+      try {
+        await analyseDocument(next);
+      } catch (error) {
+        console.error(`Document analysis ${next.id} failed on attempt ${attempts}:`, error.message);
+        await prisma.documentAnalysis.update({
+          where: { id: next.id },
+          data: {
+            status: attempts >= DOCUMENT_ANALYSIS_MAX_ATTEMPTS ? 'failed' : 'pending',
+            error: error.message,
+            nextAttemptAt: new Date(Date.now() + DOCUMENT_ANALYSIS_RETRY_BASE_MS * 2 ** (attempts - 1)),
+          },
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Document analysis queue error:', error);
+  } finally {
+    documentAnalysisRunning = false;
+  }
+};
+
+// (Re)queues a document for analysis and wakes the background loop.
+const queueDocumentAnalysis = async (documentId) => {
+  const analysis = await prisma.documentAnalysis.upsert({
+    where: { documentId },
+    create: { documentId },
+    update: { status: 'pending', attempts: 0, error: null, nextAttemptAt: new Date() },
+  });
+  setImmediate(runDocumentAnalysisQueue);
+  return analysis;
+};
 
 // ------------------
 // HELPER FUNCTION FOR ERROR HANDLING
 // ------------------
-const handleGeminiError = (error, res, context) => {
+// Called once the LLM layer has exhausted its retries.
+const handleLlmError = (error, res, context, failureMessage = `Failed to ${context.replace(/ing/g, 'e')}`) => {
   console.error(`Error ${context}:`, error.message);
-  const isRateLimitError = error.status === 429 || (error.toString && error.toString().includes('429'));
-  if (isRateLimitError) {
-    return res.status(429).json({
-      error: `Could not complete request due to high traffic (API rate limit exceeded). Please try again later.`
+  if (isRateLimitError(error)) {
+    return res.status(429).json({ error: res.req.t('common.highTraffic') });
+  }
+  res.status(500).json({ error: failureMessage });
+};
+
+
+// ------------------
+// AUTHENTICATION & AUTHORIZATION
+// ------------------
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues an access token and stores a hashed refresh token for the principal.
+// Extra claims (e.g. a bank user's role) are embedded in the access token only.
+const issueSession = async (principalType, principalId, claims = {}) => {
+  const accessToken = jwt.sign({ ...claims, type: principalType }, JWT_SECRET, {
+    subject: String(principalId),
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await prisma.session.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      principalType,
+      principalId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+  });
+  return { accessToken, refreshToken };
+};
+
+const verifyAccessToken = (token, req, res, next) => {
+  if (!token) {
+    return res.status(401).json({ error: req.t('auth.required') });
+  }
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.auth = { id: Number(payload.sub), type: payload.type, role: payload.role, language: payload.language };
+    if (payload.language) req.language = payload.language;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: req.t('auth.invalidToken') });
+  }
+};
+
+// Verifies the bearer token and exposes the caller as req.auth = { id, type, role?, language? }.
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  verifyAccessToken(scheme === 'Bearer' ? token : null, req, res, next);
+};
+
+// Browsers' EventSource cannot send headers, so event streams also accept ?access_token=.
+const authenticateStream = (req, res, next) => {
+  if (req.headers.authorization) return authenticate(req, res, next);
+  verifyAccessToken(req.query.access_token, req, res, next);
+};
+
+const requireBankUser = (req, res, next) => {
+  if (req.auth.type !== 'bank') {
+    return res.status(403).json({ error: req.t('auth.bankOnly') });
+  }
+  next();
+};
+
+const requireCustomerUser = (req, res, next) => {
+  if (req.auth.type !== 'customer') {
+    return res.status(403).json({ error: req.t('auth.customerOnly') });
+  }
+  next();
+};
+
+// Restricts a route to bank users holding one of the given roles.
+const requireBankRole = (...roles) => (req, res, next) => {
+  if (req.auth.type !== 'bank' || !roles.includes(req.auth.role)) {
+    return res.status(403).json({ error: req.t('auth.roleForbidden') });
+  }
+  next();
+};
+
+const revokeAllSessions = (principalType, principalId) => prisma.session.updateMany({
+  where: { principalType, principalId, revokedAt: null },
+  data: { revokedAt: new Date() },
+});
+
+// Customers may only act on their own record; bank users may act on any.
+const requireCustomerSelfOrBank = (req, res, next) => {
+  if (req.auth.type === 'bank') return next();
+  if (req.auth.type === 'customer' && req.auth.id === Number(req.params.id)) return next();
+  return res.status(403).json({ error: req.t('auth.customerForbidden') });
+};
+
+// Whose masking rules apply to a response (see privacy/masking.js): "customer" or the bank role.
+const viewerOf = (auth) => (auth.type === 'customer' ? 'customer' : auth.role);
+
+// Account self-service: only the customer themselves.
+const requireCustomerSelf = (req, res, next) => {
+  if (req.auth.type === 'customer' && req.auth.id === Number(req.params.id)) return next();
+  return res.status(403).json({ error: req.t('auth.selfOnly') });
+};
+
+// Failed-login protection: an account locks after LOGIN_MAX_FAILURES wrong passwords in a row, and
+// each client IP is throttled across all accounts (including usernames that do not exist).
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 20);
+const LOGIN_IP_WINDOW_MS = 15 * 60 * 1000;
+const failedLoginsByIp = new Map(); // ip -> { count, resetAt }
+
+const throttleLoginsByIp = (req, res, next) => {
+  const entry = failedLoginsByIp.get(req.ip);
+  if (entry && entry.resetAt > Date.now() && entry.count >= LOGIN_IP_MAX_FAILURES) {
+    res.set('Retry-After', String(Math.ceil((entry.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: req.t('auth.tooManyAttempts') });
+  }
+  next();
+};
+
+const recordIpLoginFailure = (ip) => {
+  const now = Date.now();
+  const entry = failedLoginsByIp.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    failedLoginsByIp.set(ip, { count: 1, resetAt: now + LOGIN_IP_WINDOW_MS });
+  } else {
+    entry.count++;
+  }
+  if (failedLoginsByIp.size > 10000) {
+    for (const [key, value] of failedLoginsByIp) if (value.resetAt <= now) failedLoginsByIp.delete(key);
+  }
+};
+
+const isAccountLocked = (account) => Boolean(account.lockedUntil && account.lockedUntil > new Date());
+
+const sendAccountLocked = (res, lockedUntil) => {
+  res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+  return res.status(423).json({ error: res.req.t('auth.accountLocked'), lockedUntil });
+};
+
+// Counts a wrong password against the account (model is prisma.customer or prisma.bankUser).
+// Returns the lock expiry when this failure locked the account.
+const recordLoginFailure = async (model, account, ip) => {
+  recordIpLoginFailure(ip);
+  const updated = await model.update({ where: { id: account.id }, data: { failedLoginAttempts: { increment: 1 } } });
+  if (updated.failedLoginAttempts < LOGIN_MAX_FAILURES) return null;
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MS);
+  await model.update({ where: { id: account.id }, data: { failedLoginAttempts: 0, lockedUntil } });
+  return lockedUntil;
+};
+
+const clearLoginFailures = (model, account) => {
+  if (!account.failedLoginAttempts && !account.lockedUntil) return null;
+  return model.update({ where: { id: account.id }, data: { failedLoginAttempts: 0, lockedUntil: null } });
+};
+
+// One-time codes for re-verifying changed contact details and resetting forgotten passwords.
+// Only an HMAC of the code is stored, and each code allows OTP_MAX_ATTEMPTS guesses.
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = 5;
+const hashOtp = (code) => crypto.createHmac('sha256', JWT_SECRET).update(code).digest('hex');
+
+// Issues a 6-digit code (replacing any unused one for the same purpose) and returns it in plain text.
+const issueOneTimeCode = async ({ customerId, purpose, target = null }) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await prisma.oneTimeCode.updateMany({ where: { customerId, purpose, consumedAt: null }, data: { consumedAt: new Date() } });
+  await prisma.oneTimeCode.create({
+    data: { customerId, purpose, target, codeHash: hashOtp(code), expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000) },
+  });
+  return code;
+};
+
+// Returns (and consumes) the matching unexpired code record, or null. Wrong guesses count against it.
+const consumeOneTimeCode = async ({ customerId, purpose, code }) => {
+  const record = await prisma.oneTimeCode.findFirst({
+    where: { customerId, purpose, consumedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!record || record.attempts >= OTP_MAX_ATTEMPTS) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(record.codeHash, 'hex'), Buffer.from(hashOtp(code), 'hex'))) {
+    await prisma.oneTimeCode.update({ where: { id: record.id }, data: { attempts: { increment: 1 } } });
+    return null;
+  }
+  const { count } = await prisma.oneTimeCode.updateMany({ where: { id: record.id, consumedAt: null }, data: { consumedAt: new Date() } });
+  return count ? record : null;
+};
+
+const findAssessment = (assessmentId) => prisma.assessment.findUnique({
+  where: { id: Number(assessmentId) },
+  select: { id: true, customerId: true, status: true, language: true },
+});
+
+// Customers may only reach their own assessments; bank users may reach any.
+const canAccessAssessment = (auth, assessment) =>
+  auth.type === 'bank' || (auth.type === 'customer' && assessment.customerId === auth.id);
+
+// Returns the assessment if the caller owns it or is a bank user, otherwise null.
+const findAccessibleAssessment = async (auth, assessmentId) => {
+  const assessment = await findAssessment(assessmentId);
+  return assessment && canAccessAssessment(auth, assessment) ? assessment : null;
+};
+
+// Guards /api/assessments/:id/* routes for the assessment owner or a bank user. Customers without
+// a language of their own are answered in the assessment's language.
+const requireAssessmentAccess = async (req, res, next) => {
+  try {
+    const assessment = await findAssessment(req.params.id);
+    if (!assessment) {
+      return res.status(404).json({ error: req.t('assessment.notFound') });
+    }
+    if (!canAccessAssessment(req.auth, assessment)) {
+      return res.status(403).json({ error: req.t('auth.customerForbidden') });
+    }
+    req.assessment = assessment;
+    if (req.auth.type === 'customer' && !req.auth.language && assessment.language) req.language = assessment.language;
+    next();
+  } catch (error) {
+    console.error('Assessment authorization error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+};
+
+
+// ------------------
+// CREDIT DECISION POLICY
+// ------------------
+// Policy rules shape:
+// {
+//   "bands": [{ "minScore": 700, "status": "Approved" }, { "minScore": 500, "status": "Manual Review" }],
+//   "defaultStatus": "Rejected",
+//   "breakdownRules": [{ "category": "savings", "below": 40, "status": "Rejected" }],
+//   "overrides": [{ "when": { "minAge": 18, "maxAge": 21, "product": "microloan" }, "bands": [...], "breakdownRules": [...] }],
+//   "reapplication": { "coolingOffDays": 30, "maxOpenAssessments": 1 }
+// }
+const DECISION_STATUSES = ['Approved', 'Manual Review', 'Rejected'];
+
+// Used whenever no policy has been activated yet.
+const DEFAULT_POLICY_RULES = {
+  bands: [{ minScore: 700, status: 'Approved' }, { minScore: 500, status: 'Manual Review' }],
+  defaultStatus: 'Rejected',
+  breakdownRules: [],
+  overrides: [],
+  reapplication: { coolingOffDays: 30, maxOpenAssessments: 1 },
+};
+
+// Returns a list of { field, message } problems with a policy's rules (empty when valid).
+const validatePolicyRules = (rules) => {
+  const errors = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return [{ field: 'rules', message: 'must be an object.' }];
+  const fail = (field, message) => errors.push({ field: `rules.${field}`, message });
+  const checkStatus = (status, field) => {
+    if (!DECISION_STATUSES.includes(status)) fail(field, `must be one of: ${DECISION_STATUSES.join(', ')}.`);
+  };
+  const checkBands = (bands, where) => {
+    if (!Array.isArray(bands)) return fail(where, 'must be an array.');
+    bands.forEach((band, i) => {
+      if (typeof band.minScore !== 'number') fail(`${where}[${i}].minScore`, 'must be a number.');
+      checkStatus(band.status, `${where}[${i}].status`);
+    });
+  };
+  const checkBreakdownRules = (breakdownRules, where) => {
+    if (!Array.isArray(breakdownRules)) return fail(where, 'must be an array.');
+    breakdownRules.forEach((rule, i) => {
+      if (!rule.category) fail(`${where}[${i}].category`, 'is required.');
+      if (typeof rule.below !== 'number') fail(`${where}[${i}].below`, 'must be a number.');
+      checkStatus(rule.status, `${where}[${i}].status`);
+    });
+  };
+
+  checkBands(rules.bands, 'bands');
+  checkStatus(rules.defaultStatus, 'defaultStatus');
+  if (rules.breakdownRules !== undefined) checkBreakdownRules(rules.breakdownRules, 'breakdownRules');
+  if (rules.overrides !== undefined) {
+    if (!Array.isArray(rules.overrides)) fail('overrides', 'must be an array.');
+    else rules.overrides.forEach((override, i) => {
+      if (!override.when || typeof override.when !== 'object') fail(`overrides[${i}].when`, 'is required.');
+      if (override.bands !== undefined) checkBands(override.bands, `overrides[${i}].bands`);
+      if (override.defaultStatus !== undefined) checkStatus(override.defaultStatus, `overrides[${i}].defaultStatus`);
+      if (override.breakdownRules !== undefined) checkBreakdownRules(override.breakdownRules, `overrides[${i}].breakdownRules`);
+    });
+  }
+  if (rules.reapplication !== undefined) {
+    const { coolingOffDays, maxOpenAssessments } = rules.reapplication || {};
+    if (coolingOffDays !== undefined && !(typeof coolingOffDays === 'number' && coolingOffDays >= 0)) {
+      fail('reapplication.coolingOffDays', 'must be a number of days, 0 or more.');
+    }
+    if (maxOpenAssessments !== undefined && !(Number.isInteger(maxOpenAssessments) && maxOpenAssessments >= 1)) {
+      fail('reapplication.maxOpenAssessments', 'must be a whole number, 1 or more.');
+    }
+  }
+  return errors;
+};
+
+const overrideMatches = (when, { age, product }) => {
+  if (when.minAge !== undefined && !(age >= when.minAge)) return false;
+  if (when.maxAge !== undefined && !(age <= when.maxAge)) return false;
+  if (when.product !== undefined && when.product !== product) return false;
+  return true;
+};
+
+// Applies policy rules to an assessment and returns { status, reasons }.
+// The most severe outcome wins: Rejected over Manual Review over Approved.
+const evaluatePolicy = (rules, { score, breakdown, age, product }) => {
+  const override = (rules.overrides || []).find((o) => overrideMatches(o.when, { age, product }));
+  const effective = { ...rules, ...(override || {}) };
+  const reasons = [];
+  if (override) reasons.push(`Override applied: ${JSON.stringify(override.when)}`);
+
+  const band = [...effective.bands]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find((b) => score >= b.minScore);
+  let status = band ? band.status : effective.defaultStatus;
+  reasons.push(band ? `Score ${score} is at or above ${band.minScore}` : `Score ${score} is below every band`);
+
+  for (const rule of effective.breakdownRules || []) {
+    const value = Number(breakdown && breakdown[rule.category]);
+    if (Number.isNaN(value) || value >= rule.below) continue;
+    reasons.push(`${rule.category} score ${value} is below ${rule.below}`);
+    if (DECISION_STATUSES.indexOf(rule.status) > DECISION_STATUSES.indexOf(status)) {
+      status = rule.status;
+    }
+  }
+  return { status, reasons };
+};
+
+// Loads the active policy, falling back to the built-in default bands.
+// `db` is the transaction client when called from createAssessment.
+const getActivePolicy = async (db = prisma) => {
+  const policy = await db.decisionPolicy.findFirst({ where: { state: 'active' } });
+  return policy || { id: null, version: null, rules: DEFAULT_POLICY_RULES };
+};
+
+// Why the customer may not start another assessment under the given policy rules, as
+// [{ code, message, ... }] (empty when they may), with messages in the caller's language via `t`.
+// Policies written before reapplication rules existed get the defaults.
+// `db` is the transaction client when called from createAssessment.
+const findReapplicationBlocks = async (customerId, rules, t, db = prisma) => {
+  const { coolingOffDays, maxOpenAssessments } = { ...DEFAULT_POLICY_RULES.reapplication, ...(rules.reapplication || {}) };
+  const blocks = [];
+
+  const openAssessments = await db.assessment.findMany({
+    where: { customerId, status: { in: OPEN_ASSESSMENT_STATUSES } },
+    select: { id: true, status: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (openAssessments.length >= maxOpenAssessments) {
+    blocks.push({
+      code: 'OPEN_ASSESSMENT_LIMIT',
+      message: t('eligibility.openLimit', { count: openAssessments.length }),
+      openAssessments,
     });
   }
-  res.status(500).json({ error: `Failed to ${context.replace(/ing/g, 'e')}` });
+
+  // Only rejections that still stand count; one overridden to an approval does not.
+  const lastRejection = coolingOffDays > 0 && await db.assessmentStatusChange.findFirst({
+    where: { toStatus: 'Rejected', assessment: { customerId, status: 'Rejected' } },
+    orderBy: { createdAt: 'desc' },
+    select: { assessmentId: true, createdAt: true },
+  });
+  if (lastRejection) {
+    const eligibleAt = new Date(lastRejection.createdAt.getTime() + coolingOffDays * 24 * 60 * 60 * 1000);
+    if (eligibleAt > new Date()) {
+      blocks.push({
+        code: 'COOLING_OFF',
+        message: t('eligibility.coolingOff', { date: eligibleAt }),
+        assessmentId: lastRejection.assessmentId,
+        eligibleAt,
+      });
+    }
+  }
+  return blocks;
 };
 
 
 // ------------------
-// API ENDPOINTS
+// SERVER-SIDE SCORING
 // ------------------
+// The client-supplied score is never trusted: it is recomputed from `answers` using
+// the scoring model (core question weights) and the stored option values of dynamic questions.
+const scoringModel = require(process.env.SCORING_MODEL_PATH
+  ? path.resolve(process.env.SCORING_MODEL_PATH)
+  : path.join(__dirname, 'scoring_model.json'));
+// Every submission must answer all of these; leaving one out would otherwise raise the score.
+const CORE_QUESTION_IDS = Object.keys(scoringModel.coreQuestions);
 
-// Root endpoint for health check
-app.get('/', (req, res) => {
-  res.send('ADITI Backend is running!');
+// Loads the stored DynamicQuestion rows referenced by the non-core answer keys that may be scored:
+// approved questions, plus those served to the customer for this submission (unreviewed AI questions,
+// or ones retired since). Answers to any other question are rejected as unknown.
+const loadAnsweredDynamicQuestions = async (answers, servedQuestionIds = [], db = prisma) => {
+  const ids = Object.keys(answers || {}).filter((id) => !scoringModel.coreQuestions[id]);
+  if (!ids.length) return new Map();
+  const questions = await db.dynamicQuestion.findMany({
+    where: { id: { in: ids }, OR: [{ status: 'approved' }, { id: { in: servedQuestionIds } }] },
+    include: { versions: { orderBy: { version: 'desc' }, take: 1 } },
+  });
+  return new Map(questions.map((q) => [q.id, q]));
+};
+
+// The answered questions that /api/generate-questions served to this customer, for a direct submit
+// (drafts record theirs in questionIds).
+const findQuestionsServedTo = async (customerId, answers) => {
+  const ids = Object.keys(answers || {}).filter((id) => !scoringModel.coreQuestions[id]);
+  if (!ids.length) return [];
+  const questions = await prisma.dynamicQuestion.findMany({
+    where: { id: { in: ids }, generatedForId: customerId },
+    select: { id: true },
+  });
+  return questions.map((question) => question.id);
+};
+
+// Maps one answer to { category, weight, value } or returns the i18n key of the problem. Dynamic
+// answers are checked against the latest version's options (versions are never edited in place).
+const scoreAnswer = (questionId, rawAnswer, dynamicQuestions) => {
+  const answer = rawAnswer && typeof rawAnswer === 'object' ? rawAnswer.value : rawAnswer;
+  const core = scoringModel.coreQuestions[questionId];
+  if (core) {
+    const value = core.options[answer];
+    if (value === undefined) return 'answers.invalidOption';
+    return { category: core.category, weight: core.weight, value };
+  }
+  const dynamicQuestion = dynamicQuestions.get(questionId);
+  if (dynamicQuestion) {
+    const { category, weight, allowedValues } = scoringModel.dynamicQuestions;
+    const [version] = dynamicQuestion.versions;
+    const value = Number(answer);
+    if (!allowedValues.includes(value) || !version.options.some((option) => option.value === value)) return 'answers.invalidOption';
+    return { category, weight, value, dynamicQuestionId: questionId, versionId: version.id };
+  }
+  return 'answers.unknownQuestion';
+};
+
+// Returns { score, breakdown, dynamicAnswers, errors } with errors as { field, key } (see validation.js);
+// breakdown holds a 0-100 score per category
+// and dynamicAnswers the { questionId, versionId, value } rows that link the assessment to the
+// exact question wording that was answered.
+const computeScore = (answers, dynamicQuestions = new Map()) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { errors: [{ field: 'answers', key: 'answers.notAnObject' }] };
+  }
+  const errors = [];
+  const categories = {};
+  const dynamicAnswers = [];
+  let totalWeighted = 0;
+  let totalWeight = 0;
+  for (const [questionId, answer] of Object.entries(answers)) {
+    const scored = scoreAnswer(questionId, answer, dynamicQuestions);
+    if (typeof scored === 'string') {
+      errors.push({ field: `answers.${questionId}`, key: scored });
+      continue;
+    }
+    if (scored.dynamicQuestionId) {
+      dynamicAnswers.push({ questionId: scored.dynamicQuestionId, versionId: scored.versionId, value: scored.value });
+    }
+    const category = categories[scored.category] || (categories[scored.category] = { weighted: 0, weight: 0 });
+    category.weighted += scored.value * scored.weight;
+    category.weight += scored.weight;
+    totalWeighted += scored.value * scored.weight;
+    totalWeight += scored.weight;
+  }
+  for (const questionId of CORE_QUESTION_IDS) {
+    if (!(questionId in answers)) errors.push({ field: `answers.${questionId}`, key: 'validation.required' });
+  }
+  if (!errors.length && totalWeight === 0) errors.push({ field: 'answers', key: 'answers.empty' });
+  if (errors.length) return { errors };
+
+  const breakdown = {};
+  for (const [name, { weighted, weight }] of Object.entries(categories)) {
+    breakdown[name] = Math.round((weighted / weight) * 100);
+  }
+  const { min, max } = scoringModel.scoreRange;
+  const score = Math.round(min + (max - min) * (totalWeighted / totalWeight));
+  return { score, breakdown, dynamicAnswers, errors };
+};
+
+
+// ------------------
+// REAL-TIME ASSESSMENT EVENTS & MESSAGING
+// ------------------
+// GET /api/assessments/:id/events is a server-sent event stream that pushes "message", "document",
+// "status" and "read" events to everyone watching the assessment. Subscribers are held in this
+// process, so behind a load balancer each instance only pushes the events it handled itself.
+const SSE_HEARTBEAT_MS = 25000;
+const assessmentSubscribers = new Map(); // assessmentId -> Set of open responses
+
+// Messages are sent to each subscriber in their own language (see localizeMessage).
+const publishAssessmentEvent = (assessmentId, event, data) => {
+  const subscribers = assessmentSubscribers.get(assessmentId);
+  if (!subscribers) return;
+  const payloads = new Map(); // language -> payload
+  for (const res of subscribers) {
+    const language = event === 'message' ? res.req.language : null;
+    if (!payloads.has(language)) {
+      payloads.set(language, `event: ${event}\ndata: ${JSON.stringify(language ? localizeMessage(data, language) : data)}\n\n`);
+    }
+    res.write(payloads.get(language));
+  }
+};
+
+const subscribeToAssessment = (assessmentId, res) => {
+  if (!assessmentSubscribers.has(assessmentId)) assessmentSubscribers.set(assessmentId, new Set());
+  assessmentSubscribers.get(assessmentId).add(res);
+  return () => {
+    const subscribers = assessmentSubscribers.get(assessmentId);
+    subscribers.delete(res);
+    if (!subscribers.size) assessmentSubscribers.delete(assessmentId);
+  };
+};
+
+// Stores a message from the authenticated principal (or the system when auth is null) and pushes it live.
+// `text` is what a person typed, or { key, params } for text the server writes: that is stored
+// with its i18n key so everyone reads it in their own language; `text` keeps the English version.
+// The sender label is derived from who is posting, never taken from the client.
+const postMessage = async (assessmentId, text, auth = null) => {
+  const senderType = auth ? auth.type : 'system';
+  const localized = typeof text === 'object' ? { textKey: text.key, textParams: text.params } : {};
+  const message = await prisma.message.create({
+    data: {
+      assessmentId,
+      text: localized.textKey ? translate(DEFAULT_LANGUAGE, text.key, text.params) : text,
+      ...localized,
+      sender: translate(DEFAULT_LANGUAGE, `sender.${senderType}`),
+      senderType,
+      senderId: auth ? auth.id : null,
+    },
+  });
+  publishAssessmentEvent(assessmentId, 'message', message);
+  return message;
+};
+
+// A stored message as the given reader sees it: server-written text and the sender label in their language.
+const localizeMessage = (message, language) => ({
+  ...message,
+  text: message.textKey ? translate(language, message.textKey, message.textParams || {}) : message.text,
+  sender: translate(language, `sender.${message.senderType}`),
+});
+
+// Unread counts per assessment for the principal: messages from others after their read marker.
+const countUnreadMessages = async (auth, assessmentWhere = {}) => {
+  const markers = await prisma.messageReadMarker.findMany({ where: { principalType: auth.type, principalId: auth.id } });
+  const groups = await prisma.message.groupBy({
+    by: ['assessmentId'],
+    where: {
+      assessment: assessmentWhere,
+      NOT: { senderType: auth.type, senderId: auth.id },
+      OR: [
+        { assessmentId: { notIn: markers.map((marker) => marker.assessmentId) } },
+        ...markers.map((marker) => ({ assessmentId: marker.assessmentId, id: { gt: marker.lastReadMessageId } })),
+      ],
+    },
+    _count: { _all: true },
+  });
+  return groups.map((group) => ({ assessmentId: group.assessmentId, count: group._count._all }));
+};
+
+
+// ------------------
+// CUSTOMER NOTIFICATIONS
+// ------------------
+// Status changes, document requests and bank messages queue one NotificationDelivery per enabled
+// channel (email to Customer.email, SMS to Customer.mobile), rendered in the customer's language,
+// or the assessment's when the customer has not chosen one.
+// A background loop sends them and retries failures with exponential backoff.
+const NOTIFICATION_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 5);
+const NOTIFICATION_RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS || 60000);
+const NOTIFICATION_POLL_MS = Number(process.env.NOTIFY_POLL_MS || 30000);
+// Deliveries stuck in "sending" this long (e.g. after a crash) are put back in the queue.
+const NOTIFICATION_STALE_MS = 10 * 60 * 1000;
+
+let notificationQueueRunning = false;
+
+const runNotificationQueue = async () => {
+  if (notificationQueueRunning) return;
+  notificationQueueRunning = true;
+  try {
+    await prisma.notificationDelivery.updateMany({
+      where: { status: 'sending', updatedAt: { lt: new Date(Date.now() - NOTIFICATION_STALE_MS) } },
+      data: { status: 'pending' },
+    });
+    for (;;) {
+      const next = await prisma.notificationDelivery.findFirst({
+        where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+      });
+      if (!next) break;
+      const claimed = await prisma.notificationDelivery.updateMany({
+        where: { id: next.id, status: 'pending' },
+        data: { status: 'sending', attempts: { increment: 1 } },
+      });
+      if (!claimed.count) continue;
+      const attempts = next.attempts + 1;
+      try {
+        const transport = notificationTransports[next.channel];
+        if (!transport) throw new Error(`The ${next.channel} channel is not enabled.`);
+        const result = await transport.send({ to: next.recipient, subject: next.subject, text: next.body });
+        await prisma.notificationDelivery.update({
+          where: { id: next.id },
+          data: { status: 'sent', sentAt: new Date(), lastError: null, providerMessageId: (result && result.providerMessageId) || null },
+        });
+      } catch (error) {
+        console.error(`Notification ${next.id} (${next.channel}) failed on attempt ${attempts}:`, error.message);
+        await prisma.notificationDelivery.update({
+          where: { id: next.id },
+          data: {
+            status: attempts >= NOTIFICATION_MAX_ATTEMPTS ? 'failed' : 'pending',
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + NOTIFICATION_RETRY_BASE_MS * 2 ** (attempts - 1)),
+          },
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Notification queue error:', error);
+  } finally {
+    notificationQueueRunning = false;
+  }
+};
+
+// Queues one delivery per enabled channel that has a recipient ({ email: address, sms: mobile }).
+const queueNotification = async ({ customerId, assessmentId = null, language, event, params, recipients }) => {
+  const { subject, text } = renderNotification(event, language, params);
+  await prisma.notificationDelivery.createMany({
+    data: notificationTransports.channels.filter((channel) => recipients[channel]).map((channel) => ({
+      customerId,
+      assessmentId,
+      event,
+      channel,
+      recipient: recipients[channel],
+      subject: channel === 'email' ? subject : null,
+      body: text,
+    })),
+  });
+  setImmediate(runNotificationQueue);
+};
+
+// Queues a notification for the assessment's customer. Never throws: a notification problem must
+// not fail the request that triggered it.
+const notifyCustomer = async (assessmentId, event, params = {}) => {
+  try {
+    const assessment = await prisma.assessment.findUnique({
+      where: { id: assessmentId },
+      select: { language: true, customer: { select: { id: true, fname: true, email: true, mobile: true, language: true } } },
+    });
+    if (!assessment) return;
+    const { customer } = assessment;
+    await queueNotification({
+      customerId: customer.id,
+      assessmentId,
+      language: customer.language || assessment.language,
+      event,
+      params: { name: customer.fname, assessmentId, ...params },
+      recipients: { email: customer.email, sms: customer.mobile },
+    });
+  } catch (error) {
+    console.error(`Failed to queue ${event} notification:`, error);
+  }
+};
+
+// The customer's own language, else the one they last took an assessment in.
+const customerLanguage = async (customerId) => {
+  const customer = await prisma.customer.findUnique({ where: { id: customerId }, select: { language: true } });
+  if (customer && customer.language) return customer.language;
+  const latest = await prisma.assessment.findFirst({
+    where: { customerId },
+    orderBy: { createdAt: 'desc' },
+    select: { language: true },
+  });
+  return (latest && latest.language) || DEFAULT_LANGUAGE;
+};
+
+
+// ------------------
+// ASSESSMENT STATUS STATE MACHINE
+// ------------------
+const canTransition = (fromStatus, toStatus) => (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Adds the status as the reader should see it; `status` itself stays the English value clients filter on.
+const withStatusLabel = (assessment, language) => ({ ...assessment, statusLabel: translate(language, `status.${assessment.status}`) });
+
+// Moves an assessment between states and appends the change to its history in one transaction.
+// `fromStatus` must still be current, so a concurrent change makes this return null instead of
+// silently overwriting it. Omit bankUserId for system-initiated changes.
+const changeAssessmentStatus = async ({ assessmentId, fromStatus, toStatus, reason, bankUserId = null }) => {
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.assessment.updateMany({
+      where: { id: assessmentId, status: fromStatus },
+      data: { status: toStatus },
+    });
+    if (!count) return null;
+    await tx.assessmentStatusChange.create({
+      data: { assessmentId, fromStatus, toStatus, reason, bankUserId, actorType: bankUserId ? 'bank' : 'system' },
+    });
+    return tx.assessment.findUnique({ where: { id: assessmentId } });
+  });
+  if (updated) {
+    publishAssessmentEvent(assessmentId, 'status', { assessmentId, fromStatus, toStatus, reason });
+    // Document requests send their own notification listing what is needed.
+    if (toStatus !== 'Documents Requested') notifyCustomer(assessmentId, 'status_changed', { status: toStatus });
+  }
+  return updated;
+};
+
+
+// ------------------
+// REQUEST SCHEMAS
+// ------------------
+// Declarative per-route input rules, enforced by validateRequest() (see validation.js).
+// Every language registered in i18n/; assessments can be taken in any of them
+const LANGUAGE_CODES = Object.keys(LANGUAGE_NAMES);
+const idParams = { id: v.id() };
+const questionIdParams = { id: v.string({ required: true, maxLength: 36 }) };
+const password = (opts) => v.string({ required: true, trim: false, maxLength: 128, ...opts });
+const dateRange = { from: v.date(), to: v.date() };
+const otpCode = v.string({ required: true, pattern: /^\d{6}$/, messageKey: 'validation.otpCode' });
+const analyticsFilters = { ...dateRange, language: v.oneOf(LANGUAGE_CODES), product: v.string({ maxLength: 50 }) };
+const questionBody = {
+  question: v.string({ required: true, maxLength: 500 }),
+  options: v.arrayOf(v.object({
+    text: v.string({ required: true, maxLength: 300 }),
+    value: v.oneOf(scoringModel.dynamicQuestions.allowedValues, { required: true }),
+  }), { required: true, minItems: 2, maxItems: 6 }),
+};
+
+const schemas = {
+  register: {
+    body: {
+      fname: v.string({ required: true, maxLength: 50 }),
+      lname: v.string({ required: true, maxLength: 50 }),
+      gender: v.string({ required: true, maxLength: 20 }),
+      age: v.integer({ required: true, min: 18, max: 100 }),
+      mobile: v.mobile({ required: true }),
+      email: v.email({ required: true }),
+      pan: v.pan({ required: true }),
+      accountNumber: v.accountNumber({ required: true }),
+      password: password({ minLength: 8 }),
+      language: v.oneOf(LANGUAGE_CODES),
+    },
+  },
+  login: { body: { email: v.email({ required: true }), password: password() } },
+  updateProfile: {
+    params: idParams,
+    body: {
+      fname: v.string({ maxLength: 50 }),
+      lname: v.string({ maxLength: 50 }),
+      gender: v.string({ maxLength: 20 }),
+      age: v.integer({ min: 18, max: 100 }),
+      mobile: v.mobile(),
+      email: v.email(),
+      accountNumber: v.accountNumber(),
+      language: v.oneOf(LANGUAGE_CODES),
+    },
+  },
+  verifyProfileChange: {
+    params: idParams,
+    body: { field: v.oneOf(Object.keys(VERIFIED_PROFILE_FIELDS), { required: true }), code: otpCode },
+  },
+  changePassword: {
+    params: idParams,
+    body: { currentPassword: password(), newPassword: password({ minLength: 8 }) },
+  },
+  forgotPassword: { body: { email: v.email({ required: true }) } },
+  requestErasure: { params: idParams, body: { reason: v.string({ maxLength: 1000 }) } },
+  listErasureRequests: { query: { status: v.oneOf(ERASURE_REQUEST_STATUSES) } },
+  reviewErasureRequest: {
+    params: idParams,
+    body: { decision: v.oneOf(['approve', 'reject'], { required: true }), note: v.string({ maxLength: 1000 }) },
+  },
+  resetPassword: { body: { email: v.email({ required: true }), code: otpCode, newPassword: password({ minLength: 8 }) } },
+  bankLogin: { body: { username: v.string({ required: true, maxLength: 50 }), password: password() } },
+  refresh: { body: { refreshToken: v.string({ required: true }) } },
+  logout: { body: { refreshToken: v.string(), all: v.boolean({ default: false }) } },
+  submitAssessment: {
+    body: {
+      customerId: v.integer({ min: 1 }),
+      score: v.number(),
+      answers: v.json({ required: true }),
+      language: v.oneOf(LANGUAGE_CODES, { default: 'en' }),
+      product: v.string({ maxLength: 50 }),
+    },
+  },
+  customer: { params: idParams },
+  startDraft: {
+    body: {
+      language: v.oneOf(LANGUAGE_CODES, { default: 'en' }),
+      product: v.string({ maxLength: 50 }),
+    },
+  },
+  draft: { params: idParams },
+  saveDraft: { params: idParams, body: { answers: v.json({ required: true }) } },
+  submitDraft: { params: idParams, body: { score: v.number() } },
+  assessment: { params: idParams },
+  compareAssessments: { params: idParams, query: { with: v.id() } },
+  updateStatus: {
+    params: idParams,
+    body: {
+      status: v.oneOf(ASSESSMENT_STATUSES, { required: true }),
+      reason: v.string({ required: true, maxLength: 1000 }),
+    },
+  },
+  requestDocs: {
+    params: idParams,
+    body: {
+      docTypes: v.arrayOf(v.oneOf(DOCUMENT_TYPES), { required: true, minItems: 1, unique: true }),
+      dueDate: v.date(),
+      note: v.string({ maxLength: 500 }),
+    },
+  },
+  reviewDocumentItem: {
+    params: { itemId: v.id() },
+    body: {
+      status: v.oneOf(['accepted', 'rejected'], { required: true }),
+      reason: v.string({ maxLength: 500 }),
+    },
+  },
+  uploadDocument: { body: { assessmentId: v.id(), docType: v.oneOf(DOCUMENT_TYPES) } },
+  document: { params: idParams },
+  downloadDocument: {
+    params: idParams,
+    query: {
+      principal: v.string({ required: true, pattern: /^(customer|bank):\d+$/ }),
+      expires: v.integer({ required: true }),
+      signature: v.string({ required: true, pattern: /^[a-f0-9]{64}$/, messageKey: 'validation.linkSignature' }),
+    },
+  },
+  sendMessage: {
+    params: idParams,
+    body: { text: v.string({ required: true, maxLength: 2000 }) },
+  },
+  notification: { params: idParams },
+  markMessagesRead: {
+    params: idParams,
+    body: { upToMessageId: v.integer({ min: 1 }) },
+  },
+  createBankUser: {
+    body: {
+      username: v.string({ required: true, minLength: 3, maxLength: 50 }),
+      password: password({ minLength: 8 }),
+      role: v.oneOf(BANK_ROLES, { default: 'reviewer' }),
+    },
+  },
+  updateBankUser: { params: idParams, body: { role: v.oneOf(BANK_ROLES), active: v.boolean() } },
+  resetBankUserPassword: { params: idParams, body: { password: password({ minLength: 8 }) } },
+  createPolicy: { body: { name: v.string({ required: true, maxLength: 100 }), rules: v.json({ required: true }) } },
+  updatePolicy: { params: idParams, body: { name: v.string({ maxLength: 100 }), rules: v.json() } },
+  previewPolicy: { params: idParams, body: { ...dateRange, limit: v.integer({ min: 1, max: 5000, default: 1000 }) } },
+  policy: { params: idParams },
+  aiMetrics: { query: { task: v.string({ maxLength: 50 }), ...dateRange } },
+  decisionAnalytics: { query: { ...analyticsFilters, interval: v.oneOf(ANALYTICS_INTERVALS, { default: 'week' }) } },
+  scoreAnalytics: { query: { ...analyticsFilters, groupBy: v.oneOf(['language', 'gender', 'ageBand'], { default: 'language' }) } },
+  turnaroundAnalytics: { query: analyticsFilters },
+  abandonmentAnalytics: { query: analyticsFilters },
+  listAssessments: {
+    query: {
+      cursor: v.integer({ min: 1 }),
+      limit: v.integer({ min: 1, max: 100, default: 25 }),
+      status: v.oneOf(ASSESSMENT_STATUSES),
+      minScore: v.integer(),
+      maxScore: v.integer(),
+      language: v.oneOf(LANGUAGE_CODES),
+      ...dateRange,
+      pendingDocuments: v.boolean(),
+      q: v.string({ maxLength: 100 }),
+      sort: v.oneOf(['createdAt', 'updatedAt', 'score'], { default: 'createdAt' }),
+      order: v.oneOf(['asc', 'desc'], { default: 'desc' }),
+    },
+  },
+  listQuestions: { query: { status: v.oneOf(QUESTION_STATUSES), language: v.oneOf(LANGUAGE_CODES) } },
+  question: { params: questionIdParams },
+  createQuestion: { body: { ...questionBody, language: v.oneOf(LANGUAGE_CODES, { default: 'en' }) } },
+  updateQuestion: { params: questionIdParams, body: questionBody },
+  translateQuestion: {
+    params: questionIdParams,
+    body: { ...questionBody, language: v.oneOf(LANGUAGE_CODES, { required: true }) },
+  },
+  generateQuestions: {
+    body: {
+      coreQuestionIds: v.arrayOf(v.string({ maxLength: 100 }), { default: [], maxItems: 50 }),
+      language: v.oneOf(LANGUAGE_CODES, { default: 'en' }),
+    },
+  },
+};
+
+
+// ------------------
+// API ENDPOINTS
+// ------------------
+
+// Root endpoint for health check
+app.get('/', (req, res) => {
+  res.send('ADITI Backend is running!');
+});
+
+// Customer Registration. Without an explicit language the customer keeps the one their browser asked for.
+app.post('/api/register', validateRequest(schemas.register), async (req, res) => {
+  const { fname, lname, gender, age, mobile, email, pan, accountNumber, password } = req.body;
+  const language = req.body.language || negotiateLanguage(req.get('Accept-Language'));
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const newCustomer = await prisma.customer.create({
+      data: pii.protect({ fname, lname, gender, age: Number(age), mobile, email, pan, accountNumber, password: hashedPassword, language }),
+    });
+    if (language) req.language = language;
+    res.status(201).json({
+      message: req.t('account.registered'),
+      customer: { id: newCustomer.id, fname: newCustomer.fname, lname: newCustomer.lname, email: newCustomer.email },
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: req.t('account.alreadyExists') });
+    }
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+// Customer Login
+app.post('/api/login', throttleLoginsByIp, validateRequest(schemas.login), async (req, res) => {
+  const { email, password } = req.body;
+  try {
+    const customer = await prisma.customer.findUnique({
+      where: { email: email },
+      include: {
+        assessments: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: { messages: true, documents: true }
+        },
+        _count: { select: { assessments: true } },
+      },
+    });
+    if (!customer) {
+      recordIpLoginFailure(req.ip);
+      return res.status(401).json({ error: req.t('auth.invalidCredentials') });
+    }
+    if (isAccountLocked(customer)) {
+      return sendAccountLocked(res, customer.lockedUntil);
+    }
+    const isMatch = await bcrypt.compare(password, customer.password);
+    if (!isMatch) {
+      const lockedUntil = await recordLoginFailure(prisma.customer, customer, req.ip);
+      if (lockedUntil) return sendAccountLocked(res, lockedUntil);
+      return res.status(401).json({ error: req.t('auth.invalidCredentials') });
+    }
+    await clearLoginFailures(prisma.customer, customer);
+    const { password: _, failedLoginAttempts, lockedUntil, assessments, _count, ...customerData } = customer;
+    const session = await issueSession('customer', customer.id, { language: customer.language });
+    if (customer.language) req.language = customer.language;
+    const [latest] = assessments;
+    res.status(200).json({
+      message: req.t('auth.loggedIn'),
+      customer: maskFields(pii.reveal(customerData), 'customer'),
+      latestAssessment: latest
+        ? { ...withStatusLabel(latest, req.language), messages: latest.messages.map((message) => localizeMessage(message, req.language)) }
+        : null,
+      assessmentCount: _count.assessments,
+      ...session,
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+// Bank User Login
+app.post('/api/bank-login', throttleLoginsByIp, validateRequest(schemas.bankLogin), async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    const bankUser = await prisma.bankUser.findUnique({ where: { username } });
+    if (!bankUser) {
+      recordIpLoginFailure(req.ip);
+      return res.status(401).json({ error: req.t('auth.invalidBankCredentials') });
+    }
+    if (isAccountLocked(bankUser)) {
+      return sendAccountLocked(res, bankUser.lockedUntil);
+    }
+    const isMatch = await bcrypt.compare(password, bankUser.password);
+    if (!isMatch) {
+      const lockedUntil = await recordLoginFailure(prisma.bankUser, bankUser, req.ip);
+      if (lockedUntil) return sendAccountLocked(res, lockedUntil);
+      return res.status(401).json({ error: req.t('auth.invalidBankCredentials') });
+    }
+    await clearLoginFailures(prisma.bankUser, bankUser);
+    if (!bankUser.active) {
+      return res.status(403).json({ error: req.t('auth.accountDisabled') });
+    }
+    const session = await issueSession('bank', bankUser.id, { role: bankUser.role });
+    res.status(200).json({
+      message: req.t('auth.loggedIn'),
+      user: { username: bankUser.username, role: bankUser.role },
+      ...session,
+    });
+  } catch (error) {
+    console.error('Bank login error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+// Exchange a refresh token for a new session (the old refresh token is revoked)
+app.post('/api/auth/refresh', validateRequest(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+  try {
+    const session = await prisma.session.findUnique({ where: { tokenHash: hashToken(refreshToken) } });
+    if (!session) {
+      return res.status(401).json({ error: req.t('auth.invalidRefreshToken') });
+    }
+    if (session.revokedAt) {
+      // A revoked token being replayed means it may have leaked: end every session for this principal.
+      await revokeAllSessions(session.principalType, session.principalId);
+      return res.status(401).json({ error: req.t('auth.refreshTokenRevoked') });
+    }
+    if (session.expiresAt < new Date()) {
+      return res.status(401).json({ error: req.t('auth.refreshTokenExpired') });
+    }
+    await prisma.session.update({ where: { id: session.id }, data: { revokedAt: new Date() } });
+
+    // Re-read bank users so role changes apply and disabled accounts cannot refresh, and customers
+    // so a changed language applies.
+    let claims = {};
+    if (session.principalType === 'bank') {
+      const bankUser = await prisma.bankUser.findUnique({ where: { id: session.principalId } });
+      if (!bankUser || !bankUser.active) {
+        return res.status(401).json({ error: req.t('auth.accountDisabled') });
+      }
+      claims = { role: bankUser.role };
+    } else {
+      const customer = await prisma.customer.findUnique({ where: { id: session.principalId }, select: { language: true } });
+      claims = { language: customer && customer.language };
+    }
+    const newSession = await issueSession(session.principalType, session.principalId, claims);
+    res.status(200).json(newSession);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+// Logout: revoke the given refresh token, or every session with `all: true`
+app.post('/api/auth/logout', authenticate, validateRequest(schemas.logout), async (req, res) => {
+  const { refreshToken, all } = req.body;
+  try {
+    const where = { principalType: req.auth.type, principalId: req.auth.id, revokedAt: null };
+    if (!all) {
+      if (!refreshToken) {
+        return sendValidationError(res, [{ field: 'refreshToken', key: 'validation.refreshTokenRequired' }]);
+      }
+      where.tokenHash = hashToken(refreshToken);
+    }
+    await prisma.session.updateMany({ where, data: { revokedAt: new Date() } });
+    res.status(200).json({ message: req.t('auth.loggedOut') });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+
+// ------------------
+// CUSTOMER ACCOUNT SELF-SERVICE
+// ------------------
+const customerProfileSelect = {
+  id: true, fname: true, lname: true, gender: true, age: true, mobile: true, email: true, pan: true, accountNumber: true,
+  language: true, createdAt: true, updatedAt: true,
+};
+
+// Where each verification code is sent: new contact details are proven by receiving the code there;
+// a new account number is confirmed through the contact details already on file.
+const verificationRecipients = (field, value, customer) => ({
+  email: { email: value },
+  mobile: { sms: value },
+  accountNumber: { email: customer.email, sms: customer.mobile },
+}[field]);
+
+// View a customer's profile (the customer or bank users)
+app.get('/api/customer/:id/profile', authenticate, validateRequest(schemas.customer), requireCustomerSelfOrBank, async (req, res) => {
+  try {
+    const customer = await prisma.customer.findUnique({ where: { id: req.params.id }, select: customerProfileSelect });
+    if (!customer) {
+      return res.status(404).json({ error: req.t('profile.customerNotFound') });
+    }
+    res.status(200).json({ customer: maskFields(pii.reveal(customer), viewerOf(req.auth)) });
+  } catch (error) {
+    console.error('Failed to fetch profile:', error);
+    res.status(500).json({ error: req.t('profile.fetchFailed') });
+  }
+});
+
+// Update profile fields. Name, gender, age and language change immediately (a new language applies
+// to this response and, through the session token, from the next token refresh); email, mobile and
+// account number only change once the code sent for them is confirmed through /profile/verify.
+app.patch('/api/customer/:id/profile', authenticate, validateRequest(schemas.updateProfile), requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const current = pii.reveal(await prisma.customer.findUnique({ where: { id } }));
+    const direct = {};
+    const pending = [];
+    for (const [field, value] of Object.entries(req.body)) {
+      if (value === current[field]) continue;
+      if (VERIFIED_PROFILE_FIELDS[field]) pending.push([field, value]);
+      else direct[field] = value;
+    }
+
+    for (const [field, value] of pending) {
+      const match = PROTECTED_FIELDS[field] ? pii.lookup(field, value) : { [field]: value };
+      const taken = await prisma.customer.findFirst({ where: { ...match, NOT: { id } }, select: { id: true } });
+      if (taken) {
+        return res.status(409).json({ error: req.t('profile.fieldTaken', { field }) });
+      }
+    }
+
+    const customer = Object.keys(direct).length
+      ? await prisma.customer.update({ where: { id }, data: direct, select: customerProfileSelect })
+      : await prisma.customer.findUnique({ where: { id }, select: customerProfileSelect });
+    if (direct.language) req.language = direct.language;
+
+    const language = await customerLanguage(id);
+    for (const [field, value] of pending) {
+      // The pending value sits in the database until confirmed, so protected fields stay encrypted there too.
+      const target = PROTECTED_FIELDS[field] ? pii.encrypt(value) : value;
+      const code = await issueOneTimeCode({ customerId: id, purpose: VERIFIED_PROFILE_FIELDS[field], target });
+      await queueNotification({
+        customerId: id,
+        language,
+        event: 'verification_code',
+        params: { name: current.fname, code, minutes: OTP_TTL_MINUTES },
+        recipients: verificationRecipients(field, value, current),
+      });
+    }
+    res.status(200).json({
+      message: req.t(pending.length ? 'profile.updatedPendingVerification' : 'profile.updated'),
+      customer: maskFields(pii.reveal(customer), 'customer'),
+      pendingVerification: pending.map(([field]) => field),
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: req.t('profile.updateFailed') });
+  }
+});
+
+// Confirm a pending email, mobile or account number change with its one-time code
+app.post('/api/customer/:id/profile/verify', authenticate, validateRequest(schemas.verifyProfileChange), requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  const { field, code } = req.body;
+  try {
+    const record = await consumeOneTimeCode({ customerId: id, purpose: VERIFIED_PROFILE_FIELDS[field], code });
+    if (!record) {
+      return res.status(400).json({ error: req.t('common.invalidCode') });
+    }
+    const customer = await prisma.customer.update({
+      where: { id },
+      data: pii.protect({ [field]: pii.decrypt(record.target) }),
+      select: customerProfileSelect,
+    });
+    res.status(200).json({ message: req.t('profile.fieldUpdated', { field }), customer: maskFields(pii.reveal(customer), 'customer') });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: req.t('profile.fieldTaken', { field }) });
+    }
+    console.error('Profile verification error:', error);
+    res.status(500).json({ error: req.t('profile.verifyFailed') });
+  }
+});
+
+// Change password while logged in; every other session is signed out. Wrong current passwords
+// count towards the same lockout as failed logins.
+app.post('/api/customer/:id/password', authenticate, throttleLoginsByIp, validateRequest(schemas.changePassword), requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const customer = await prisma.customer.findUnique({ where: { id } });
+    if (isAccountLocked(customer)) {
+      return sendAccountLocked(res, customer.lockedUntil);
+    }
+    if (!await bcrypt.compare(currentPassword, customer.password)) {
+      const lockedUntil = await recordLoginFailure(prisma.customer, customer, req.ip);
+      if (lockedUntil) return sendAccountLocked(res, lockedUntil);
+      return res.status(401).json({ error: req.t('password.incorrect') });
+    }
+    await prisma.customer.update({
+      where: { id },
+      data: { password: await bcrypt.hash(newPassword, 10), failedLoginAttempts: 0, lockedUntil: null },
+    });
+    await revokeAllSessions('customer', id);
+    const session = await issueSession('customer', id, { language: customer.language });
+    res.status(200).json({ message: req.t('password.changed'), ...session });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: req.t('password.changeFailed') });
+  }
+});
+
+// Start a password reset: a code goes to the email and mobile on file. The response is the same
+// whether or not the email is registered.
+app.post('/api/password/forgot', throttleLoginsByIp, validateRequest(schemas.forgotPassword), async (req, res) => {
+  try {
+    const customer = await prisma.customer.findUnique({ where: { email: req.body.email } });
+    if (customer) {
+      const code = await issueOneTimeCode({ customerId: customer.id, purpose: 'password_reset' });
+      await queueNotification({
+        customerId: customer.id,
+        language: await customerLanguage(customer.id),
+        event: 'password_reset',
+        params: { name: customer.fname, code, minutes: OTP_TTL_MINUTES },
+        recipients: { email: customer.email, sms: customer.mobile },
+      });
+    } else {
+      recordIpLoginFailure(req.ip);
+    }
+    res.status(202).json({ message: req.t('password.resetSent') });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+// Finish a password reset with the code; unlocks the account and signs out every session
+app.post('/api/password/reset', throttleLoginsByIp, validateRequest(schemas.resetPassword), async (req, res) => {
+  const { email, code, newPassword } = req.body;
+  try {
+    const customer = await prisma.customer.findUnique({ where: { email } });
+    const record = customer && await consumeOneTimeCode({ customerId: customer.id, purpose: 'password_reset', code });
+    if (!record) {
+      recordIpLoginFailure(req.ip);
+      return res.status(400).json({ error: req.t('common.invalidCode') });
+    }
+    await prisma.customer.update({
+      where: { id: customer.id },
+      data: { password: await bcrypt.hash(newPassword, 10), failedLoginAttempts: 0, lockedUntil: null },
+    });
+    await revokeAllSessions('customer', customer.id);
+    res.status(200).json({ message: req.t('password.resetDone') });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+});
+
+
+// ------------------
+// CUSTOMER DATA PRIVACY (export and erasure)
+// ------------------
+const ERASED_MESSAGE_KEY = 'thread.erased';
+
+// Removes a customer's personal data. Assessment records the bank must keep (scores, answers,
+// decisions) stay but are no longer linked to anything identifying: the profile is blanked, the
+// customer's messages, documents, drafts, notifications and one-time codes are removed and every
+// session is ended. Age and gender are kept for aggregate reporting only.
+const eraseCustomerData = async (customerId) => {
+  const documents = await prisma.document.findMany({
+    where: { assessment: { customerId } },
+    select: { id: true, storageKey: true, filePath: true },
+  });
+  const documentIds = documents.map((document) => document.id);
+  await prisma.$transaction([
+    prisma.documentRequestItem.updateMany({ where: { documentId: { in: documentIds }, status: 'uploaded' }, data: { status: 'requested' } }),
+    prisma.documentAnalysis.deleteMany({ where: { documentId: { in: documentIds } } }),
+    prisma.document.deleteMany({ where: { id: { in: documentIds } } }),
+    prisma.documentAccessLog.createMany({ data: documentIds.map((documentId) => ({ documentId, principalType: 'system', action: 'deleted' })) }),
+    prisma.message.updateMany({
+      where: { senderType: 'customer', assessment: { customerId } },
+      data: { text: translate(DEFAULT_LANGUAGE, ERASED_MESSAGE_KEY), textKey: ERASED_MESSAGE_KEY },
+    }),
+    prisma.notificationDelivery.deleteMany({ where: { customerId } }),
+    prisma.oneTimeCode.deleteMany({ where: { customerId } }),
+    prisma.assessmentDraft.deleteMany({ where: { customerId } }),
+    revokeAllSessions('customer', customerId),
+    prisma.customer.update({
+      where: { id: customerId },
+      data: {
+        fname: 'Erased',
+        lname: 'Customer',
+        email: `erased-${customerId}@erased.invalid`,
+        ...pii.protect({ mobile: null, pan: null, accountNumber: null }),
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        lastAccessed: null,
+        erasedAt: new Date(),
+      },
+    }),
+  ]);
+  // Files go last; anything left behind by a failure here is an orphan that cleanup_docs.js removes.
+  for (const document of documents) {
+    try {
+      if (document.storageKey) await documentStorage.delete(document.storageKey);
+      else if (document.filePath) await fs.promises.rm(path.resolve(__dirname, document.filePath), { force: true });
+    } catch (error) {
+      console.error(`Failed to delete file of erased document ${document.id}:`, error.message);
+    }
+  }
+};
+
+// Everything held about the customer, as a downloadable JSON file (customer only). Documents come
+// with short-lived download links rather than their contents.
+app.get('/api/customer/:id/export', authenticate, validateRequest(schemas.customer), requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const customer = await prisma.customer.findUnique({
+      where: { id },
+      include: {
+        assessments: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            questions: { include: { version: { select: { version: true, question: true, options: true } } } },
+            statusChanges: { orderBy: { createdAt: 'asc' } },
+            messages: { orderBy: { id: 'asc' } },
+            documents: { include: { analysis: true } },
+            documentRequests: { include: { items: true } },
+          },
+        },
+        assessmentDrafts: { orderBy: { createdAt: 'asc' } },
+        notifications: { orderBy: { createdAt: 'asc' } },
+        erasureRequests: { orderBy: { createdAt: 'asc' } },
+      },
+    });
+    const {
+      password, failedLoginAttempts, lockedUntil, assessments, assessmentDrafts, notifications, erasureRequests, ...profile
+    } = customer;
+    const exported = {
+      exportedAt: new Date(),
+      profile: pii.reveal(profile),
+      assessments: assessments.map(({ documents, ...assessment }) => ({
+        ...assessment,
+        documents: documents.map(({ storageKey, filePath, analysis, ...document }) => ({
+          ...document,
+          analysis: analysis && { ...analysis, extractedFields: pii.reveal(analysis.extractedFields) },
+          download: createDocumentLink(document.id, req.auth),
+        })),
+      })),
+      assessmentDrafts,
+      notifications,
+      erasureRequests,
+    };
+    for (const assessment of assessments) {
+      for (const document of assessment.documents) await logDocumentAccess(document.id, req.auth, 'link_issued', req);
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(`customer-${id}-data-export.json`);
+    res.status(200).json(exported);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: req.t('privacy.exportFailed') });
+  }
+});
+
+// Ask for personal data to be erased; a bank admin approves or rejects the request
+app.post('/api/customer/:id/erasure-requests', authenticate, validateRequest(schemas.requestErasure), requireCustomerSelf, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const open = await prisma.erasureRequest.findFirst({ where: { customerId: id, status: { in: ['pending', 'processing'] } } });
+    if (open) {
+      return res.status(409).json({ error: req.t('privacy.erasureAlreadyOpen'), erasureRequest: open });
+    }
+    const erasureRequest = await prisma.erasureRequest.create({ data: { customerId: id, reason: req.body.reason } });
+    res.status(201).json({ message: req.t('privacy.erasureSubmitted'), erasureRequest });
+  } catch (error) {
+    console.error('Erasure request error:', error);
+    res.status(500).json({ error: req.t('privacy.erasureSubmitFailed') });
+  }
+});
+
+// A customer's erasure requests and their outcome (the customer or bank users)
+app.get('/api/customer/:id/erasure-requests', authenticate, validateRequest(schemas.customer), requireCustomerSelfOrBank, async (req, res) => {
+  try {
+    const erasureRequests = await prisma.erasureRequest.findMany({
+      where: { customerId: req.params.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.status(200).json({ erasureRequests });
+  } catch (error) {
+    console.error('Failed to fetch erasure requests:', error);
+    res.status(500).json({ error: req.t('privacy.erasureFetchFailed') });
+  }
+});
+
+// Review queue of erasure requests, with any assessments the customer still has in progress (admin only)
+app.get('/api/erasure-requests', authenticate, requireBankRole('admin'), validateRequest(schemas.listErasureRequests), async (req, res) => {
+  try {
+    const erasureRequests = await prisma.erasureRequest.findMany({
+      where: { status: req.query.status },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        customer: {
+          select: {
+            id: true,
+            fname: true,
+            lname: true,
+            email: true,
+            erasedAt: true,
+            assessments: {
+              where: { status: { in: OPEN_ASSESSMENT_STATUSES } },
+              select: { id: true, status: true },
+            },
+          },
+        },
+      },
+    });
+    res.status(200).json({ erasureRequests });
+  } catch (error) {
+    console.error('Failed to list erasure requests:', error);
+    res.status(500).json({ error: req.t('privacy.erasureFetchFailed') });
+  }
+});
+
+// Approve (erasing the customer's data immediately) or reject an erasure request (admin only)
+app.patch('/api/erasure-requests/:id', authenticate, requireBankRole('admin'), validateRequest(schemas.reviewErasureRequest), async (req, res) => {
+  const { id } = req.params;
+  const { decision, note } = req.body;
+  try {
+    const erasureRequest = await prisma.erasureRequest.findUnique({ where: { id } });
+    if (!erasureRequest) {
+      return res.status(404).json({ error: req.t('privacy.erasureRequestNotFound') });
+    }
+    // Claim the request so two admins cannot decide (or erase) at the same time.
+    const { count } = await prisma.erasureRequest.updateMany({
+      where: { id, status: 'pending' },
+      data: {
+        status: decision === 'approve' ? 'processing' : 'rejected',
+        reviewedById: req.auth.id,
+        reviewNote: note,
+        reviewedAt: new Date(),
+      },
+    });
+    if (!count) {
+      return res.status(409).json({ error: req.t('privacy.erasureAlreadyReviewed') });
+    }
+    if (decision === 'approve') {
+      try {
+        await eraseCustomerData(erasureRequest.customerId);
+      } catch (error) {
+        await prisma.erasureRequest.update({ where: { id }, data: { status: 'pending' } });
+        throw error;
+      }
+      await prisma.erasureRequest.update({ where: { id }, data: { status: 'completed', completedAt: new Date() } });
+    }
+    const updated = await prisma.erasureRequest.findUnique({ where: { id } });
+    res.status(200).json({
+      message: req.t(decision === 'approve' ? 'privacy.customerErased' : 'privacy.erasureRejected'),
+      erasureRequest: updated,
+    });
+  } catch (error) {
+    console.error('Erasure review error:', error);
+    res.status(500).json({ error: req.t('privacy.erasureReviewFailed') });
+  }
+});
+
+
+// First key of the pg_advisory_xact_lock(key, customerId) held while a customer's assessment is created.
+const REAPPLICATION_LOCK_KEY = 1;
+
+// Submit a new assessment
+// Scores the answers, applies the active decision policy and stores the assessment. Returns
+// { assessment }, or { blocks } when the customer may not apply yet, or { errors } for invalid answers.
+// `t` translates block messages for the response.
+// servedQuestionIds: the dynamic questions served to the customer (by the draft or generate-questions).
+// The reapplication rules are checked and the assessment created under that lock, so concurrent
+// submissions cannot all slip under the open-assessment limit.
+const createAssessment = ({ customerId, answers, language, product, clientScore, servedQuestionIds, t }) => prisma.$transaction(async (tx) => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${REAPPLICATION_LOCK_KEY}::int, ${customerId}::int)`;
+  const policy = await getActivePolicy(tx);
+  const blocks = await findReapplicationBlocks(customerId, policy.rules, t, tx);
+  if (blocks.length) return { blocks };
+
+  const dynamicQuestions = await loadAnsweredDynamicQuestions(answers, servedQuestionIds, tx);
+  const { score, breakdown, dynamicAnswers, errors } = computeScore(answers, dynamicQuestions);
+  if (errors.length) return { errors };
+  // A client score that disagrees with ours points at a modified or outdated frontend.
+  const reportedScore = clientScore === undefined ? null : Number(clientScore);
+  const scoreMismatch = reportedScore !== null
+    && !(Math.abs(reportedScore - score) <= scoringModel.mismatchTolerance);
+
+  const customer = await tx.customer.findUnique({ where: { id: customerId }, select: { age: true } });
+  let { status } = evaluatePolicy(policy.rules, { score, breakdown, age: customer.age, product });
+  if (scoreMismatch && status === 'Approved') status = 'Manual Review';
+
+  const assessment = await tx.assessment.create({
+    data: {
+      customerId,
+      score,
+      answers,
+      breakdown,
+      status,
+      language,
+      product,
+      policyId: policy.id,
+      clientScore: Number.isFinite(reportedScore) ? Math.round(reportedScore) : null,
+      scoreMismatch,
+      questions: { create: dynamicAnswers },
+      statusChanges: {
+        create: {
+          fromStatus: null,
+          toStatus: status,
+          actorType: 'system',
+          reason: (policy.version ? `Decision policy v${policy.version}` : 'Default decision policy')
+            + (scoreMismatch ? '; client score did not match the server score' : ''),
+        },
+      },
+    },
+  });
+
+  await tx.customer.update({
+    where: { id: customerId },
+    data: { lastAccessed: new Date() },
+  });
+  return { assessment };
+});
+
+// Sends the response for a submission createAssessment turned down; returns false if it was accepted.
+const sendRejectedSubmission = (res, { blocks, errors }) => {
+  if (blocks) return res.status(409).json({ error: blocks[0].message, reasons: blocks });
+  if (errors) return sendValidationError(res, errors, 'validation.invalidAnswers');
+  return false;
+};
+
+app.post('/api/assessment/submit', authenticate, validateRequest(schemas.submitAssessment), async (req, res) => {
+  const { customerId = req.auth.id, score: clientScore, answers, language, product } = req.body;
+  if (req.auth.type !== 'customer' || Number(customerId) !== req.auth.id) {
+    return res.status(403).json({ error: req.t('assessment.submitSelfOnly') });
+  }
+  try {
+    const servedQuestionIds = await findQuestionsServedTo(req.auth.id, answers);
+    const result = await createAssessment({ customerId: req.auth.id, answers, language, product, clientScore, servedQuestionIds, t: req.t });
+    if (sendRejectedSubmission(res, result)) return;
+    res.status(201).json({ message: req.t('assessment.submitted'), assessment: result.assessment });
+  } catch (error) {
+    console.error('Assessment submission error:', error);
+    res.status(500).json({ error: req.t('assessment.submitFailed', { reason: error.message }) });
+  }
+});
+
+// Builds the dashboard filter; the status filter is kept separate so per-status counts can ignore it.
+const buildAssessmentFilter = ({ minScore, maxScore, language, from, to, pendingDocuments, q }) => {
+  const where = {};
+  if (minScore !== undefined || maxScore !== undefined) where.score = { gte: minScore, lte: maxScore };
+  if (language) where.language = language;
+  if (from || to) where.createdAt = { gte: from, lte: to };
+  if (pendingDocuments !== undefined) {
+    const openRequest = { items: { some: { status: { in: OPEN_DOCUMENT_ITEM_STATUSES } } } };
+    where.documentRequests = pendingDocuments ? { some: openRequest } : { none: openRequest };
+  }
+  if (q) {
+    // Every word must match the customer's name or email, or exactly match their PAN or account number
+    // (through the blind index, as those are stored encrypted).
+    where.customer = {
+      AND: q.split(/\s+/).map((term) => ({
+        OR: [
+          { fname: { contains: term, mode: 'insensitive' } },
+          { lname: { contains: term, mode: 'insensitive' } },
+          { email: { contains: term, mode: 'insensitive' } },
+          pii.lookup('pan', term),
+          pii.lookup('accountNumber', term),
+        ],
+      })),
+    };
+  }
+  return where;
+};
+
+// For each assessment, the same customer's earlier assessments (newest first) so reviewers can see
+// how previous applications ended. One query for the whole page.
+const loadPreviousOutcomes = async (assessments) => {
+  const customerIds = [...new Set(assessments.map((assessment) => assessment.customerId))];
+  const earlier = await prisma.assessment.findMany({
+    where: { customerId: { in: customerIds } },
+    select: { id: true, customerId: true, status: true, score: true, product: true, createdAt: true },
+    orderBy: { createdAt: 'desc' },
+  });
+  return new Map(assessments.map((assessment) => [
+    assessment.id,
+    earlier.filter((other) => other.customerId === assessment.customerId && other.createdAt < assessment.createdAt)
+      .map(({ customerId, ...other }) => other),
+  ]));
+};
+
+// Bank dashboard listing: filters, search, sorting and cursor pagination (pass nextCursor back as ?cursor=),
+// plus counts per status for the dashboard tabs.
+app.get('/api/assessments', authenticate, requireBankUser, validateRequest(schemas.listAssessments), async (req, res) => {
+  const { cursor, limit, status, sort, order } = req.query;
+  try {
+    const baseWhere = buildAssessmentFilter(req.query);
+    const where = status ? { ...baseWhere, status } : baseWhere;
+    const page = await prisma.assessment.findMany({
+      where,
+      include: {
+        customer: { select: { fname: true, lname: true } },
+        documents: { include: { analysis: true } },
+        policy: { select: { version: true, name: true } },
+        summaries: { orderBy: { version: 'desc' }, take: 1 },
+      },
+      // id breaks ties so the cursor position is stable for non-unique sort keys.
+      orderBy: [{ [sort]: order }, { id: order }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    const viewer = viewerOf(req.auth);
+    const pageAssessments = page.slice(0, limit);
+    const history = await loadPreviousOutcomes(pageAssessments);
+    const assessments = pageAssessments.map((assessment) => ({
+      ...assessment,
+      documents: assessment.documents.map((document) => ({ ...document, analysis: maskAnalysis(document.analysis, viewer) })),
+      previousAssessments: history.get(assessment.id),
+    }));
+    const nextCursor = page.length > limit ? assessments[assessments.length - 1].id : null;
+
+    const groups = await prisma.assessment.groupBy({ by: ['status'], where: baseWhere, _count: { _all: true } });
+    const statusCounts = Object.fromEntries(ASSESSMENT_STATUSES.map((name) => [name, 0]));
+    for (const group of groups) statusCounts[group.status] = group._count._all;
+    const total = status ? statusCounts[status] || 0 : Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+
+    res.status(200).json({ assessments, nextCursor, total, statusCounts });
+  } catch (error) {
+    console.error('Failed to fetch all assessments:', error);
+    res.status(500).json({ error: 'Failed to retrieve assessments.' });
+  }
+});
+
+// Get a customer's latest assessment
+app.get('/api/customer/:id/latest-assessment', authenticate, validateRequest(schemas.customer), requireCustomerSelfOrBank, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const assessment = await prisma.assessment.findFirst({
+      where: { customerId: Number(id) },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        messages: true,
+        documents: true,
+        questions: { include: { version: { select: { version: true, question: true, options: true } } } },
+      }
+    });
+    res.status(200).json({
+      assessment: assessment && {
+        ...withStatusLabel(assessment, req.language),
+        messages: assessment.messages.map((message) => localizeMessage(message, req.language)),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to fetch latest assessment:', error);
+    res.status(500).json({ error: req.t('assessment.fetchFailed') });
+  }
+});
+
+// A customer's full assessment history, newest first, with each decision (the customer or bank users)
+app.get('/api/customer/:id/assessments', authenticate, validateRequest(schemas.customer), requireCustomerSelfOrBank, async (req, res) => {
+  try {
+    const assessments = await prisma.assessment.findMany({
+      where: { customerId: req.params.id },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        score: true,
+        status: true,
+        language: true,
+        product: true,
+        breakdown: true,
+        createdAt: true,
+        updatedAt: true,
+        policy: { select: { version: true, name: true } },
+        statusChanges: { orderBy: { createdAt: 'desc' }, take: 1, select: { toStatus: true, reason: true, createdAt: true } },
+      },
+    });
+    res.status(200).json({
+      assessments: assessments.map(({ statusChanges, ...assessment }) => ({
+        ...withStatusLabel(assessment, req.language),
+        lastStatusChange: statusChanges[0] || null,
+      })),
+    });
+  } catch (error) {
+    console.error('Failed to fetch assessment history:', error);
+    res.status(500).json({ error: req.t('assessment.historyFailed') });
+  }
+});
+
+// Whether the customer may start a new assessment now, and if not why (the customer or bank users)
+app.get('/api/customer/:id/eligibility', authenticate, validateRequest(schemas.customer), requireCustomerSelfOrBank, async (req, res) => {
+  try {
+    const policy = await getActivePolicy();
+    const reasons = await findReapplicationBlocks(req.params.id, policy.rules, req.t);
+    res.status(200).json({ canApply: reasons.length === 0, reasons });
+  } catch (error) {
+    console.error('Failed to check eligibility:', error);
+    res.status(500).json({ error: req.t('assessment.eligibilityFailed') });
+  }
+});
+
+// Side-by-side comparison of two of the same customer's assessments: score and each breakdown category
+app.get('/api/assessments/:id/compare', authenticate, validateRequest(schemas.compareAssessments), requireAssessmentAccess, async (req, res) => {
+  try {
+    const other = await findAssessment(req.query.with);
+    if (!other) {
+      return res.status(404).json({ error: req.t('assessment.compareNotFound') });
+    }
+    if (!canAccessAssessment(req.auth, other)) {
+      return res.status(403).json({ error: req.t('auth.customerForbidden') });
+    }
+    if (other.customerId !== req.assessment.customerId) {
+      return res.status(400).json({ error: req.t('assessment.compareDifferentCustomer') });
+    }
+    const select = { id: true, score: true, status: true, product: true, breakdown: true, createdAt: true, policy: { select: { version: true } } };
+    const [base, compared] = await Promise.all([
+      prisma.assessment.findUnique({ where: { id: req.assessment.id }, select }),
+      prisma.assessment.findUnique({ where: { id: other.id }, select }),
+    ]);
+    const baseBreakdown = base.breakdown || {};
+    const comparedBreakdown = compared.breakdown || {};
+    const categories = [...new Set([...Object.keys(baseBreakdown), ...Object.keys(comparedBreakdown)])].map((category) => {
+      const from = category in baseBreakdown ? baseBreakdown[category] : null;
+      const to = category in comparedBreakdown ? comparedBreakdown[category] : null;
+      return { category, base: from, compared: to, delta: from !== null && to !== null ? to - from : null };
+    });
+    const summary = ({ breakdown, ...assessment }) => withStatusLabel(assessment, req.language);
+    res.status(200).json({
+      base: summary(base),
+      compared: summary(compared),
+      scoreDelta: compared.score - base.score,
+      categories,
+    });
+  } catch (error) {
+    console.error('Failed to compare assessments:', error);
+    res.status(500).json({ error: req.t('assessment.compareFailed') });
+  }
+});
+
+// Update assessment status (must be an allowed transition; recorded in the status history)
+app.patch('/api/assessments/:id/status', authenticate, requireBankUser, validateRequest(schemas.updateStatus), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+  try {
+    const assessment = await prisma.assessment.findUnique({ where: { id: Number(id) }, select: { status: true } });
+    if (!assessment) {
+      return res.status(404).json({ error: req.t('assessment.notFound') });
+    }
+    if (!canTransition(assessment.status, status)) {
+      return res.status(409).json({
+        error: req.t('assessment.invalidTransition', { fromStatus: assessment.status, status }),
+        allowed: STATUS_TRANSITIONS[assessment.status] || [],
+      });
+    }
+    // Overriding a rejection needs a senior approver or an admin.
+    const canOverride = ['senior_approver', 'admin'].includes(req.auth.role);
+    if (assessment.status === 'Rejected' && !canOverride) {
+      return res.status(403).json({ error: req.t('assessment.overrideForbidden') });
+    }
+
+    const updatedAssessment = await changeAssessmentStatus({
+      assessmentId: Number(id),
+      fromStatus: assessment.status,
+      toStatus: status,
+      reason,
+      bankUserId: req.auth.id,
+    });
+    if (!updatedAssessment) {
+      return res.status(409).json({ error: req.t('assessment.statusConflict') });
+    }
+    res.status(200).json({ message: req.t('assessment.statusUpdated'), updatedAssessment });
+  } catch (error) {
+    console.error('Failed to update status:', error);
+    res.status(500).json({ error: req.t('assessment.statusUpdateFailed') });
+  }
+});
+
+// Status timeline for an assessment, oldest first
+app.get('/api/assessments/:id/timeline', authenticate, requireBankUser, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  try {
+    const timeline = await prisma.assessmentStatusChange.findMany({
+      where: { assessmentId: req.assessment.id },
+      include: { bankUser: { select: { username: true, role: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    res.status(200).json({ status: req.assessment.status, timeline });
+  } catch (error) {
+    console.error('Failed to fetch status timeline:', error);
+    res.status(500).json({ error: req.t('assessment.timelineFailed') });
+  }
+});
+
+// Endpoint to send a document request from the bank manager (one tracked item per docType)
+app.post('/api/assessments/:id/request-docs', authenticate, requireBankUser, validateRequest(schemas.requestDocs), requireAssessmentAccess, async (req, res) => {
+  const { id } = req.params;
+  const { docTypes, dueDate, note } = req.body;
+  try {
+    const documentRequest = await prisma.documentRequest.create({
+      data: {
+        assessmentId: Number(id),
+        requestedBy: req.auth.id,
+        dueDate,
+        note,
+        items: { create: docTypes.map((docType) => ({ docType })) },
+      },
+      include: { items: true },
+    });
+
+    const newMessage = await postMessage(Number(id), {
+      key: dueDate ? 'thread.documentsRequestedBy' : 'thread.documentsRequested',
+      params: { docTypes, date: dueDate && dueDate.toISOString().slice(0, 10), note },
+    }, req.auth);
+    notifyCustomer(req.assessment.id, 'documents_requested', { docTypes });
+
+    if (canTransition(req.assessment.status, 'Documents Requested')) {
+      await changeAssessmentStatus({
+        assessmentId: req.assessment.id,
+        fromStatus: req.assessment.status,
+        toStatus: 'Documents Requested',
+        reason: `Requested documents: ${docTypes.join(', ')}`,
+        bankUserId: req.auth.id,
+      });
+    }
+
+    res.status(201).json({ message: req.t('document.requestSent'), documentRequest, newMessage: localizeMessage(newMessage, req.language) });
+  } catch (error) {
+    console.error('Failed to send document request:', error);
+    res.status(500).json({ error: req.t('document.requestFailed') });
+  }
+});
+
+
+// Handle file uploads for an assessment
+app.post('/api/documents/upload', authenticate, receiveDocument, validateRequest(schemas.uploadDocument), async (req, res) => {
+  try {
+    const { assessmentId, docType } = req.body;
+
+    if (!req.file) {
+      return sendValidationError(res, [{ field: 'document', key: 'validation.required' }]);
+    }
+
+    if (!hasExpectedSignature(req.file.buffer, req.file.mimetype)) {
+      return sendValidationError(res, [{ field: 'document', key: 'validation.documentMismatch' }]);
+    }
+
+    // The assessment id only arrives with the multipart body, so ownership is checked after multer has read the file.
+    const assessment = await findAssessment(assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ error: req.t('assessment.notFound') });
+    }
+    if (!canAccessAssessment(req.auth, assessment)) {
+      return res.status(403).json({ error: req.t('auth.customerForbidden') });
+    }
+
+    const { originalname, mimetype, size, buffer } = req.file;
+    const storageKey = buildDocumentKey(assessmentId, mimetype);
+    await documentStorage.put(storageKey, buffer, { contentType: mimetype });
+    const newDocument = await prisma.document.create({
+      data: {
+        fileName: path.posix.basename(storageKey),
+        originalName: originalname,
+        storageKey,
+        contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+        mimeType: mimetype,
+        size,
+        assessmentId: Number(assessmentId),
+        docType: docType,
+      },
+    });
+
+    // The upload satisfies the oldest open request item for the same docType, if any.
+    let satisfiedItem = null;
+    if (docType) {
+      const openItem = await prisma.documentRequestItem.findFirst({
+        where: { docType, status: { in: OPEN_DOCUMENT_ITEM_STATUSES }, request: { assessmentId: Number(assessmentId) } },
+        orderBy: { id: 'asc' },
+      });
+      if (openItem) {
+        satisfiedItem = await prisma.documentRequestItem.update({
+          where: { id: openItem.id },
+          data: { status: 'uploaded', documentId: newDocument.id, rejectionReason: null },
+        });
+      }
+    }
+
+    await postMessage(Number(assessmentId), {
+      key: 'thread.documentUploaded',
+      params: { fileName: originalname, docType: docType || 'unspecified' },
+    });
+    publishAssessmentEvent(Number(assessmentId), 'document', { document: newDocument, satisfiedItem });
+
+    await queueDocumentAnalysis(newDocument.id);
+
+    res.status(201).json({ message: req.t('document.uploaded'), document: newDocument, satisfiedItem });
+  } catch (error) {
+    console.error('Document upload error:', error);
+    res.status(500).json({ error: req.t('document.uploadFailed') });
+  }
+});
+
+
+// Issues a short-lived signed download link to the assessment owner or a bank user
+app.post('/api/documents/:id/link', authenticate, validateRequest(schemas.document), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const document = await prisma.document.findUnique({ where: { id }, select: { id: true, assessmentId: true } });
+    if (!document) {
+      return res.status(404).json({ error: req.t('document.notFound') });
+    }
+    if (!await findAccessibleAssessment(req.auth, document.assessmentId)) {
+      await logDocumentAccess(id, req.auth, 'denied', req);
+      return res.status(403).json({ error: req.t('auth.customerForbidden') });
+    }
+    const link = createDocumentLink(id, req.auth);
+    await logDocumentAccess(id, req.auth, 'link_issued', req);
+    res.status(201).json(link);
+  } catch (error) {
+    console.error('Failed to create document link:', error);
+    res.status(500).json({ error: req.t('document.linkFailed') });
+  }
+});
+
+// Streams a document for a valid signed link; the link itself is the credential so it works in a plain <a href>.
+app.get('/api/documents/:id/download', validateRequest(schemas.downloadDocument), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const document = await prisma.document.findUnique({ where: { id } });
+    if (!document) {
+      return res.status(404).json({ error: req.t('document.notFound') });
+    }
+    const principal = verifyDocumentLink(id, req.query);
+    // Access is re-checked in case the assessment changed hands since the link was issued.
+    if (!principal || !await findAccessibleAssessment(principal, document.assessmentId)) {
+      await logDocumentAccess(id, principal, 'denied', req);
+      return res.status(403).json({ error: req.t('document.linkInvalid') });
+    }
+
+    const content = await openDocument(document);
+    if (!content) {
+      return res.status(404).json({ error: req.t('document.fileMissing') });
+    }
+    await logDocumentAccess(id, principal, 'download', req);
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(document.originalName);
+    if (document.mimeType) res.type(document.mimeType);
+    if (document.size) res.set('Content-Length', String(document.size));
+    content.on('error', (error) => {
+      console.error('Document stream error:', error);
+      res.destroy(error);
+    });
+    content.pipe(res);
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({ error: req.t('document.downloadFailed') });
+  }
+});
+
+// Who issued links for or downloaded a document (senior approvers and admins)
+app.get('/api/documents/:id/access-log', authenticate, requireBankRole('senior_approver', 'admin'), validateRequest(schemas.document), async (req, res) => {
+  try {
+    const entries = await prisma.documentAccessLog.findMany({
+      where: { documentId: req.params.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.status(200).json({ entries });
+  } catch (error) {
+    console.error('Failed to fetch document access log:', error);
+    res.status(500).json({ error: req.t('document.accessLogFailed') });
+  }
+});
+
+
+// Extracted text fields, suggested docType and customer-record mismatches for a document (bank users)
+app.get('/api/documents/:id/analysis', authenticate, requireBankUser, validateRequest(schemas.document), async (req, res) => {
+  try {
+    const analysis = await prisma.documentAnalysis.findUnique({ where: { documentId: req.params.id } });
+    if (!analysis) {
+      return res.status(404).json({ error: req.t('document.analysisNotFound') });
+    }
+    res.status(200).json({ analysis: maskAnalysis(analysis, viewerOf(req.auth)) });
+  } catch (error) {
+    console.error('Failed to fetch document analysis:', error);
+    res.status(500).json({ error: req.t('document.analysisFetchFailed') });
+  }
+});
+
+// Runs the analysis again, e.g. after a failure or once OCR language data has been installed
+app.post('/api/documents/:id/analysis', authenticate, requireBankUser, validateRequest(schemas.document), async (req, res) => {
+  try {
+    const document = await prisma.document.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!document) {
+      return res.status(404).json({ error: req.t('document.notFound') });
+    }
+    const analysis = await queueDocumentAnalysis(document.id);
+    res.status(202).json({ message: req.t('document.analysisQueued'), analysis });
+  } catch (error) {
+    console.error('Failed to queue document analysis:', error);
+    res.status(500).json({ error: req.t('document.analysisQueueFailed') });
+  }
+});
+
+
+// Document requests for an assessment, with the items still outstanding (customer or bank)
+app.get('/api/assessments/:id/document-requests', authenticate, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  try {
+    const requests = await prisma.documentRequest.findMany({
+      where: { assessmentId: req.assessment.id },
+      include: { items: { include: { document: true }, orderBy: { id: 'asc' } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    const now = new Date();
+    const outstanding = requests.flatMap((request) => request.items
+      .filter((item) => OPEN_DOCUMENT_ITEM_STATUSES.includes(item.status))
+      .map((item) => ({
+        id: item.id,
+        requestId: request.id,
+        docType: item.docType,
+        status: item.status,
+        rejectionReason: item.rejectionReason,
+        dueDate: request.dueDate,
+        overdue: Boolean(request.dueDate && request.dueDate < now),
+      })));
+    res.status(200).json({ requests, outstanding });
+  } catch (error) {
+    console.error('Failed to fetch document requests:', error);
+    res.status(500).json({ error: req.t('document.requestsFetchFailed') });
+  }
+});
+
+// Accept or reject an uploaded document against its request item (bank users)
+app.patch('/api/document-requests/items/:itemId', authenticate, requireBankUser, validateRequest(schemas.reviewDocumentItem), async (req, res) => {
+  const { itemId } = req.params;
+  const { status, reason } = req.body;
+  if (status === 'rejected' && !reason) {
+    return sendValidationError(res, [{ field: 'reason', key: 'validation.requiredForRejection' }]);
+  }
+  try {
+    const item = await prisma.documentRequestItem.findUnique({
+      where: { id: itemId },
+      include: { request: { select: { assessmentId: true } } },
+    });
+    if (!item) {
+      return res.status(404).json({ error: req.t('document.requestItemNotFound') });
+    }
+    if (item.status !== 'uploaded') {
+      return res.status(409).json({ error: req.t('document.notReviewable') });
+    }
+    const updatedItem = await prisma.documentRequestItem.update({
+      where: { id: itemId },
+      data: { status, rejectionReason: status === 'rejected' ? reason : null, reviewedBy: req.auth.id },
+    });
+
+    const { assessmentId } = item.request;
+    if (status === 'rejected') {
+      await postMessage(assessmentId, { key: 'thread.documentRejected', params: { docType: item.docType, reason } }, req.auth);
+      notifyCustomer(assessmentId, 'new_message');
+    } else {
+      // Once nothing is outstanding, hand the assessment back to manual review.
+      const remaining = await prisma.documentRequestItem.count({
+        where: { status: { not: 'accepted' }, request: { assessmentId } },
+      });
+      const assessment = await prisma.assessment.findUnique({ where: { id: assessmentId }, select: { status: true } });
+      if (remaining === 0 && assessment.status === 'Documents Requested') {
+        await changeAssessmentStatus({
+          assessmentId,
+          fromStatus: 'Documents Requested',
+          toStatus: 'Manual Review',
+          reason: 'All requested documents were accepted',
+        });
+      }
+    }
+    res.status(200).json({ message: req.t(status === 'rejected' ? 'document.rejected' : 'document.accepted'), item: updatedItem });
+  } catch (error) {
+    console.error('Failed to review document:', error);
+    res.status(500).json({ error: req.t('document.reviewFailed') });
+  }
+});
+
+
+// Live event stream for an assessment (owner or bank users)
+app.get('/api/assessments/:id/events', authenticateStream, validateRequest(schemas.assessment), requireAssessmentAccess, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`event: ready\ndata: ${JSON.stringify({ assessmentId: req.assessment.id })}\n\n`);
+
+  const unsubscribe = subscribeToAssessment(req.assessment.id, res);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Get messages for an assessment, with every participant's read marker and the caller's unread count
+app.get('/api/assessments/:id/messages', authenticate, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const messages = await prisma.message.findMany({
+      where: { assessmentId: Number(id) },
+      orderBy: { createdAt: 'asc' },
+    });
+    const readReceipts = await prisma.messageReadMarker.findMany({ where: { assessmentId: Number(id) } });
+    const ownMarker = readReceipts.find((marker) => marker.principalType === req.auth.type && marker.principalId === req.auth.id);
+    const unreadCount = messages.filter((message) => (message.senderType !== req.auth.type || message.senderId !== req.auth.id)
+      && (!ownMarker || message.id > ownMarker.lastReadMessageId)).length;
+    res.status(200).json({
+      messages: messages.map((message) => localizeMessage(message, req.language)),
+      readReceipts,
+      unreadCount,
+    });
+  } catch (error) {
+    console.error('Failed to fetch messages:', error);
+    res.status(500).json({ error: req.t('message.fetchFailed') });
+  }
+});
+
+// Send a new message for an assessment as the authenticated customer or bank user
+app.post('/api/assessments/:id/message', authenticate, validateRequest(schemas.sendMessage), requireAssessmentAccess, async (req, res) => {
+  try {
+    const newMessage = await postMessage(req.assessment.id, req.body.text, req.auth);
+    if (req.auth.type === 'bank') notifyCustomer(req.assessment.id, 'new_message');
+    res.status(201).json({ message: req.t('message.sent'), newMessage: localizeMessage(newMessage, req.language) });
+  } catch (error) {
+    console.error('Failed to send message:', error);
+    res.status(500).json({ error: req.t('message.sendFailed') });
+  }
+});
+
+// Mark the thread as read up to a message (default: the latest one); markers never move backwards
+app.post('/api/assessments/:id/messages/read', authenticate, validateRequest(schemas.markMessagesRead), requireAssessmentAccess, async (req, res) => {
+  const assessmentId = req.assessment.id;
+  try {
+    let { upToMessageId } = req.body;
+    if (!upToMessageId) {
+      const latest = await prisma.message.findFirst({ where: { assessmentId }, orderBy: { id: 'desc' }, select: { id: true } });
+      if (!latest) return res.status(200).json({ marker: null });
+      upToMessageId = latest.id;
+    }
+    const key = { assessmentId, principalType: req.auth.type, principalId: req.auth.id };
+    const existing = await prisma.messageReadMarker.findUnique({ where: { assessmentId_principalType_principalId: key } });
+    if (existing && existing.lastReadMessageId >= upToMessageId) {
+      return res.status(200).json({ marker: existing });
+    }
+    const marker = await prisma.messageReadMarker.upsert({
+      where: { assessmentId_principalType_principalId: key },
+      create: { ...key, lastReadMessageId: upToMessageId },
+      update: { lastReadMessageId: upToMessageId },
+    });
+    publishAssessmentEvent(assessmentId, 'read', marker);
+    res.status(200).json({ marker });
+  } catch (error) {
+    console.error('Failed to mark messages as read:', error);
+    res.status(500).json({ error: req.t('message.markReadFailed') });
+  }
+});
+
+// Unread message counts across the caller's assessments (all assessments for bank users)
+app.get('/api/messages/unread', authenticate, async (req, res) => {
+  try {
+    const unread = await countUnreadMessages(req.auth, req.auth.type === 'customer' ? { customerId: req.auth.id } : {});
+    res.status(200).json({ unread, total: unread.reduce((sum, entry) => sum + entry.count, 0) });
+  } catch (error) {
+    console.error('Failed to count unread messages:', error);
+    res.status(500).json({ error: req.t('message.unreadFailed') });
+  }
+});
+
+
+// Email/SMS notifications sent (or being retried) for an assessment (bank users)
+app.get('/api/assessments/:id/notifications', authenticate, requireBankUser, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  try {
+    const notifications = await prisma.notificationDelivery.findMany({
+      where: { assessmentId: req.assessment.id },
+      orderBy: { createdAt: 'desc' },
+    });
+    const viewer = viewerOf(req.auth);
+    res.status(200).json({
+      notifications: notifications.map((notification) => ({
+        ...notification,
+        recipient: maskValue(notification.channel === 'email' ? 'email' : 'mobile', notification.recipient, viewer),
+      })),
+    });
+  } catch (error) {
+    console.error('Failed to fetch notifications:', error);
+    res.status(500).json({ error: 'Failed to retrieve notifications.' });
+  }
+});
+
+// Puts a notification that ran out of attempts back in the queue (bank users)
+app.post('/api/notifications/:id/retry', authenticate, requireBankUser, validateRequest(schemas.notification), async (req, res) => {
+  try {
+    const { count } = await prisma.notificationDelivery.updateMany({
+      where: { id: req.params.id, status: 'failed' },
+      data: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+    });
+    if (!count) {
+      return res.status(409).json({ error: 'Only failed notifications can be retried.' });
+    }
+    setImmediate(runNotificationQueue);
+    res.status(202).json({ message: 'Notification queued for another attempt.' });
+  } catch (error) {
+    console.error('Failed to retry notification:', error);
+    res.status(500).json({ error: 'Failed to retry notification.' });
+  }
+});
+
+
+// ------------------
+// BANK STAFF ADMINISTRATION (admin only)
+// ------------------
+const bankUserSelect = { id: true, username: true, role: true, active: true, createdAt: true };
+
+// List bank staff
+app.get('/api/bank-users', authenticate, requireBankRole('admin'), async (req, res) => {
+  try {
+    const users = await prisma.bankUser.findMany({ select: bankUserSelect, orderBy: { username: 'asc' } });
+    res.status(200).json({ users });
+  } catch (error) {
+    console.error('Failed to list bank users:', error);
+    res.status(500).json({ error: 'Failed to retrieve bank users.' });
+  }
+});
+
+// Create a bank staff account
+app.post('/api/bank-users', authenticate, requireBankRole('admin'), validateRequest(schemas.createBankUser), async (req, res) => {
+  const { username, password, role } = req.body;
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await prisma.bankUser.create({
+      data: { username, password: hashedPassword, role },
+      select: bankUserSelect,
+    });
+    res.status(201).json({ message: 'Bank user created successfully.', user });
+  } catch (error) {
+    console.error('Failed to create bank user:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A bank user with this username already exists.' });
+    }
+    res.status(500).json({ error: 'Failed to create bank user.' });
+  }
+});
+
+// Change a staff member's role or disable/re-enable their account
+app.patch('/api/bank-users/:id', authenticate, requireBankRole('admin'), validateRequest(schemas.updateBankUser), async (req, res) => {
+  const id = Number(req.params.id);
+  const { role, active } = req.body;
+  if (id === req.auth.id && (active === false || (role && role !== 'admin'))) {
+    return res.status(400).json({ error: 'Admins cannot disable or demote their own account.' });
+  }
+  try {
+    const user = await prisma.bankUser.update({
+      where: { id },
+      data: { role, active },
+      select: bankUserSelect,
+    });
+    // Existing access tokens carry the old role, so force the user to log in again.
+    await revokeAllSessions('bank', id);
+    res.status(200).json({ message: 'Bank user updated successfully.', user });
+  } catch (error) {
+    console.error('Failed to update bank user:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Bank user not found.' });
+    }
+    res.status(500).json({ error: 'Failed to update bank user.' });
+  }
+});
+
+// Reset a staff member's password
+app.post('/api/bank-users/:id/reset-password', authenticate, requireBankRole('admin'), validateRequest(schemas.resetBankUserPassword), async (req, res) => {
+  const id = Number(req.params.id);
+  const { password } = req.body;
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await prisma.bankUser.update({ where: { id }, data: { password: hashedPassword } });
+    await revokeAllSessions('bank', id);
+    res.status(200).json({ message: 'Password reset successfully.' });
+  } catch (error) {
+    console.error('Failed to reset bank user password:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Bank user not found.' });
+    }
+    res.status(500).json({ error: 'Failed to reset password.' });
+  }
+});
+
+
+// ------------------
+// DECISION POLICY ADMINISTRATION (admin only)
+// ------------------
+
+// List all policy versions, newest first
+app.get('/api/policies', authenticate, requireBankRole('admin'), async (req, res) => {
+  try {
+    const policies = await prisma.decisionPolicy.findMany({ orderBy: { version: 'desc' } });
+    res.status(200).json({ policies, defaultRules: DEFAULT_POLICY_RULES });
+  } catch (error) {
+    console.error('Failed to list policies:', error);
+    res.status(500).json({ error: 'Failed to retrieve policies.' });
+  }
+});
+
+// Create a new draft policy version
+app.post('/api/policies', authenticate, requireBankRole('admin'), validateRequest(schemas.createPolicy), async (req, res) => {
+  const { name, rules } = req.body;
+  const errors = validatePolicyRules(rules);
+  if (errors.length) {
+    return sendValidationError(res, errors, 'validation.invalidPolicy');
+  }
+  try {
+    const latest = await prisma.decisionPolicy.findFirst({ orderBy: { version: 'desc' }, select: { version: true } });
+    const policy = await prisma.decisionPolicy.create({
+      data: { name, rules, version: (latest ? latest.version : 0) + 1, createdBy: req.auth.id },
+    });
+    res.status(201).json({ message: 'Draft policy created.', policy });
+  } catch (error) {
+    console.error('Failed to create policy:', error);
+    res.status(500).json({ error: 'Failed to create policy.' });
+  }
+});
+
+// Edit a draft policy (active and retired versions are immutable)
+app.put('/api/policies/:id', authenticate, requireBankRole('admin'), validateRequest(schemas.updatePolicy), async (req, res) => {
+  const id = Number(req.params.id);
+  const { name, rules } = req.body;
+  const errors = rules === undefined ? [] : validatePolicyRules(rules);
+  if (errors.length) {
+    return sendValidationError(res, errors, 'validation.invalidPolicy');
+  }
+  try {
+    const existing = await prisma.decisionPolicy.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found.' });
+    }
+    if (existing.state !== 'draft') {
+      return res.status(409).json({ error: 'Only draft policies can be edited. Create a new version instead.' });
+    }
+    const policy = await prisma.decisionPolicy.update({ where: { id }, data: { name, rules } });
+    res.status(200).json({ message: 'Draft policy updated.', policy });
+  } catch (error) {
+    console.error('Failed to update policy:', error);
+    res.status(500).json({ error: 'Failed to update policy.' });
+  }
+});
+
+// Dry-run a policy against past assessments and report how decisions would change
+app.post('/api/policies/:id/preview', authenticate, requireBankRole('admin'), validateRequest(schemas.previewPolicy), async (req, res) => {
+  const id = Number(req.params.id);
+  const { from, to, limit } = req.body;
+  try {
+    const policy = await prisma.decisionPolicy.findUnique({ where: { id } });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found.' });
+    }
+    const assessments = await prisma.assessment.findMany({
+      where: from || to ? { createdAt: { gte: from, lte: to } } : undefined,
+      include: { customer: { select: { age: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+
+    const summary = { total: assessments.length, changed: 0, current: {}, proposed: {} };
+    const changes = [];
+    for (const assessment of assessments) {
+      const { status, reasons } = evaluatePolicy(policy.rules, {
+        score: assessment.score,
+        breakdown: assessment.breakdown,
+        age: assessment.customer.age,
+        product: assessment.product,
+      });
+      summary.current[assessment.status] = (summary.current[assessment.status] || 0) + 1;
+      summary.proposed[status] = (summary.proposed[status] || 0) + 1;
+      if (status !== assessment.status) {
+        summary.changed += 1;
+        changes.push({ assessmentId: assessment.id, score: assessment.score, from: assessment.status, to: status, reasons });
+      }
+    }
+    res.status(200).json({ policy: { id: policy.id, version: policy.version }, summary, changes });
+  } catch (error) {
+    console.error('Failed to preview policy:', error);
+    res.status(500).json({ error: 'Failed to preview policy.' });
+  }
+});
+
+// Activate a policy version; the previously active version is retired
+app.post('/api/policies/:id/activate', authenticate, requireBankRole('admin'), validateRequest(schemas.policy), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const existing = await prisma.decisionPolicy.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found.' });
+    }
+    if (existing.state === 'active') {
+      return res.status(409).json({ error: 'This policy is already active.' });
+    }
+    const [, policy] = await prisma.$transaction([
+      prisma.decisionPolicy.updateMany({ where: { state: 'active' }, data: { state: 'retired' } }),
+      prisma.decisionPolicy.update({ where: { id }, data: { state: 'active', activatedAt: new Date() } }),
+    ]);
+    res.status(200).json({ message: `Policy version ${policy.version} is now active.`, policy });
+  } catch (error) {
+    console.error('Failed to activate policy:', error);
+    res.status(500).json({ error: 'Failed to activate policy.' });
+  }
+});
+
+
+// AI call metrics: how often generation succeeded first time, needed repair, fell back or failed
+app.get('/api/ai-metrics', authenticate, requireBankRole('admin'), validateRequest(schemas.aiMetrics), async (req, res) => {
+  const { task, from, to } = req.query;
+  try {
+    const groups = await prisma.aiCallMetric.groupBy({
+      by: ['task', 'outcome'],
+      where: { task, createdAt: from || to ? { gte: from, lte: to } : undefined },
+      _count: { _all: true },
+      _avg: { attempts: true, durationMs: true },
+    });
+    const metrics = groups.map((group) => ({
+      task: group.task,
+      outcome: group.outcome,
+      calls: group._count._all,
+      avgAttempts: group._avg.attempts,
+      avgDurationMs: group._avg.durationMs,
+    }));
+    res.status(200).json({ metrics });
+  } catch (error) {
+    console.error('Failed to fetch AI metrics:', error);
+    res.status(500).json({ error: 'Failed to retrieve AI metrics.' });
+  }
+});
+
+
+// ------------------
+// PORTFOLIO ANALYTICS (senior approvers and admins)
+// ------------------
+// Aggregates over assessments submitted in [from, to] (default: the last 90 days, at most 366),
+// optionally narrowed to one language or product. Periods are UTC days, ISO weeks (starting Monday)
+// or months. Counts, buckets and percentiles are computed by Postgres rather than by loading rows.
+const ANALYTICS_DEFAULT_DAYS = 90;
+const ANALYTICS_MAX_DAYS = 366;
+const FINAL_DECISION_STATUSES = ['Approved', 'Rejected'];
+const AGE_BANDS = [
+  { label: '18-25', max: 25 },
+  { label: '26-35', max: 35 },
+  { label: '36-45', max: 45 },
+  { label: '46-60', max: 60 },
+  { label: '60+', max: Infinity },
+];
+const SCORE_BUCKET_SIZE = 50;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const canViewAnalytics = requireBankRole('senior_approver', 'admin');
+
+const analyticsRange = ({ from, to }) => {
+  const end = to || new Date();
+  return { start: from || new Date(end.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS), end };
+};
+
+// Runs after validateRequest: the aggregates scan every assessment in the range, so it is capped.
+const checkAnalyticsRange = (req, res, next) => {
+  const { start, end } = analyticsRange(req.query);
+  if (start > end) {
+    return sendValidationError(res, [{ field: 'query.from', message: 'must not be after query.to.' }]);
+  }
+  if (end - start > ANALYTICS_MAX_DAYS * DAY_MS) {
+    return sendValidationError(res, [{ field: 'query.from', message: `must be at most ${ANALYTICS_MAX_DAYS} days before query.to.` }]);
+  }
+  next();
+};
+
+const buildAnalyticsWhere = (query) => {
+  const { start, end } = analyticsRange(query);
+  return { createdAt: { gte: start, lte: end }, language: query.language, product: query.product };
+};
+
+// Prisma keeps DateTime columns as UTC in "timestamp without time zone", so compare them with UTC wall-clock time.
+const sqlTimestamp = (date) => Prisma.sql`${date.toISOString()}::timestamp`;
+
+// buildAnalyticsWhere for the SQL aggregates below, which alias the Assessment table as "a".
+const analyticsSqlFilter = (query) => {
+  const { start, end } = analyticsRange(query);
+  return Prisma.sql`a."createdAt" BETWEEN ${sqlTimestamp(start)} AND ${sqlTimestamp(end)}
+    ${query.language ? Prisma.sql`AND a."language" = ${query.language}` : Prisma.empty}
+    ${query.product ? Prisma.sql`AND a."product" = ${query.product}` : Prisma.empty}`;
+};
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+const round = (value, digits = 1) => (value === null || Number.isNaN(value) ? null : Number(value.toFixed(digits)));
+
+// { count, avg, median, p90 } of a list of numbers
+const describe = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const avg = sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null;
+  return { count: sorted.length, avg: round(avg), median: round(percentile(sorted, 0.5)), p90: round(percentile(sorted, 0.9)) };
+};
+
+// The same { count, avg, median, p90 } computed in SQL; read the row back with describeRow.
+const describeSql = (column) => Prisma.sql`COUNT(${column})::int AS count, AVG(${column})::float8 AS avg,
+  percentile_disc(0.5) WITHIN GROUP (ORDER BY ${column}) AS median,
+  percentile_disc(0.9) WITHIN GROUP (ORDER BY ${column}) AS p90`;
+
+const describeRow = (row) => (row
+  ? { count: row.count, avg: round(row.avg), median: round(row.median), p90: round(row.p90) }
+  : describe([]));
+
+// Decision rates per period, plus per policy version so drift after a policy change stands out
+app.get('/api/analytics/decisions', authenticate, canViewAnalytics, validateRequest(schemas.decisionAnalytics), checkAnalyticsRange, async (req, res) => {
+  const { interval } = req.query;
+  try {
+    // One row per period, policy and status. date_trunc weeks start on Monday.
+    const rows = await prisma.$queryRaw`
+      SELECT to_char(date_trunc(${interval}, a."createdAt"), ${interval === 'month' ? 'YYYY-MM' : 'YYYY-MM-DD'}) AS period,
+        a."policyId", a."status", COUNT(*)::int AS count, SUM(a."score")::float8 AS "scoreSum"
+      FROM "Assessment" a
+      WHERE ${analyticsSqlFilter(req.query)}
+      GROUP BY 1, 2, 3`;
+    const summarize = (group) => {
+      const counts = Object.fromEntries(ASSESSMENT_STATUSES.map((status) => [status, 0]));
+      let total = 0;
+      let scoreSum = 0;
+      for (const row of group) {
+        counts[row.status] = (counts[row.status] || 0) + row.count;
+        total += row.count;
+        scoreSum += row.scoreSum;
+      }
+      const rate = (status) => (total ? round(counts[status] / total, 3) : null);
+      return {
+        total,
+        counts,
+        approvalRate: rate('Approved'),
+        rejectionRate: rate('Rejected'),
+        manualReviewRate: rate('Manual Review'),
+        avgScore: total ? round(scoreSum / total) : null,
+      };
+    };
+    const groupRows = (keyOf) => {
+      const groups = new Map();
+      for (const row of rows) {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.entries()].sort(([a], [b]) => (a > b ? 1 : -1));
+    };
+
+    res.status(200).json({
+      interval,
+      overall: summarize(rows),
+      periods: groupRows((row) => row.period).map(([period, group]) => ({ period, ...summarize(group) })),
+      byPolicy: groupRows((row) => row.policyId).map(([policyId, group]) => ({ policyId, ...summarize(group) })),
+    });
+  } catch (error) {
+    console.error('Failed to compute decision analytics:', error);
+    res.status(500).json({ error: 'Failed to compute decision analytics.' });
+  }
 });
 
-// Customer Registration
-app.post('/api/register', async (req, res) => {
-  const { fname, lname, gender, age, mobile, email, pan, accountNumber, password } = req.body;
+// The groupBy options of /api/analytics/scores; the last age band is open-ended.
+const SCORE_GROUPS = {
+  language: Prisma.sql`COALESCE(a."language", 'unknown')`,
+  gender: Prisma.sql`COALESCE(NULLIF(c."gender", ''), 'unknown')`,
+  ageBand: Prisma.sql`CASE ${Prisma.join(AGE_BANDS.slice(0, -1).map((band) => Prisma.sql`WHEN c."age" <= ${band.max} THEN ${band.label}`), ' ')}
+    ELSE ${AGE_BANDS[AGE_BANDS.length - 1].label} END`,
+};
+
+// Score distribution (summary statistics and a histogram) by language, gender or age band
+app.get('/api/analytics/scores', authenticate, canViewAnalytics, validateRequest(schemas.scoreAnalytics), checkAnalyticsRange, async (req, res) => {
+  const { groupBy } = req.query;
   try {
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newCustomer = await prisma.customer.create({
-      data: { fname, lname, gender, age: Number(age), mobile, email, pan, accountNumber, password: hashedPassword },
-    });
-    res.status(201).json({
-      message: 'Customer registered successfully!',
-      customer: { id: newCustomer.id, fname: newCustomer.fname, lname: newCustomer.lname, email: newCustomer.email },
-    });
+    const { min, max } = scoringModel.scoreRange;
+    const bucketCount = Math.ceil((max - min) / SCORE_BUCKET_SIZE);
+    const group = SCORE_GROUPS[groupBy];
+    const filter = analyticsSqlFilter(req.query);
+    const [stats, buckets] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT ${group} AS "group", ${describeSql(Prisma.sql`a."score"`)}, MIN(a."score") AS min, MAX(a."score") AS max
+        FROM "Assessment" a JOIN "Customer" c ON c."id" = a."customerId"
+        WHERE ${filter}
+        GROUP BY 1`,
+      // The top score falls into the last bucket rather than one of its own.
+      prisma.$queryRaw`
+        SELECT ${group} AS "group",
+          LEAST(GREATEST(FLOOR((a."score" - ${min}) / ${SCORE_BUCKET_SIZE}::float8), 0), ${bucketCount - 1})::int AS bucket,
+          COUNT(*)::int AS count
+        FROM "Assessment" a JOIN "Customer" c ON c."id" = a."customerId"
+        WHERE ${filter}
+        GROUP BY 1, 2`,
+    ]);
+    const histograms = new Map(stats.map((row) => [row.group, new Array(bucketCount).fill(0)]));
+    for (const row of buckets) histograms.get(row.group)[row.bucket] = row.count;
+
+    const distributions = stats.sort((a, b) => (a.group > b.group ? 1 : -1)).map((row) => ({
+      group: row.group,
+      ...describeRow(row),
+      min: row.min,
+      max: row.max,
+      histogram: histograms.get(row.group).map((count, index) => ({
+        from: min + index * SCORE_BUCKET_SIZE,
+        to: Math.min(max, min + (index + 1) * SCORE_BUCKET_SIZE),
+        count,
+      })),
+    }));
+    res.status(200).json({ groupBy, distributions });
   } catch (error) {
-    console.error('Registration error:', error);
-    if (error.code === 'P2002') {
-      return res.status(400).json({ error: 'User with this email, mobile, PAN, or account number already exists.' });
-    }
-    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
+    console.error('Failed to compute score analytics:', error);
+    res.status(500).json({ error: 'Failed to compute score analytics.' });
   }
 });
 
-// Customer Login
-app.post('/api/login', async (req, res) => {
-  const { email, password } = req.body;
+// Hours from submission to the first final decision, and from document request to upload
+app.get('/api/analytics/turnaround', authenticate, canViewAnalytics, validateRequest(schemas.turnaroundAnalytics), checkAnalyticsRange, async (req, res) => {
   try {
-    const customer = await prisma.customer.findUnique({
-      where: { email: email },
-      include: {
-        assessments: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
-          include: { messages: true, documents: true }
-        },
-      },
-    });
-    if (!customer) {
-      return res.status(401).json({ error: 'Invalid email or password.' });
-    }
-    const isMatch = await bcrypt.compare(password, customer.password);
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid email or password.' });
-    }
-    const { password: _, assessments, ...customerData } = customer;
+    const filter = analyticsSqlFilter(req.query);
+    const [decisionRows, [items]] = await Promise.all([
+      // One row per kind of decision plus a grand total (kind is null) over all of them.
+      prisma.$queryRaw`
+        WITH decisions AS (
+          SELECT CASE WHEN d."actorType" IS NULL THEN 'undecided' WHEN d."actorType" = 'bank' THEN 'manual' ELSE 'automatic' END AS kind,
+            EXTRACT(EPOCH FROM d."createdAt" - a."createdAt")::float8 / 3600 AS hours
+          FROM "Assessment" a
+          LEFT JOIN LATERAL (
+            SELECT s."createdAt", s."actorType" FROM "AssessmentStatusChange" s
+            WHERE s."assessmentId" = a."id" AND s."toStatus" IN (${Prisma.join(FINAL_DECISION_STATUSES)})
+            ORDER BY s."createdAt" LIMIT 1
+          ) d ON true
+          WHERE ${filter}
+        )
+        SELECT kind, COUNT(*)::int AS total, ${describeSql(Prisma.sql`hours`)}
+        FROM decisions
+        GROUP BY GROUPING SETS ((kind), ())`,
+      prisma.$queryRaw`
+        WITH items AS (
+          SELECT i."status", r."dueDate", EXTRACT(EPOCH FROM doc."uploadDate" - r."createdAt")::float8 / 3600 AS hours
+          FROM "DocumentRequestItem" i
+          JOIN "DocumentRequest" r ON r."id" = i."requestId"
+          JOIN "Assessment" a ON a."id" = r."assessmentId"
+          LEFT JOIN "Document" doc ON doc."id" = i."documentId"
+          WHERE ${filter}
+        )
+        SELECT COUNT(*)::int AS "requestedItems", ${describeSql(Prisma.sql`hours`)},
+          COUNT(*) FILTER (WHERE "status" IN (${Prisma.join(OPEN_DOCUMENT_ITEM_STATUSES)}))::int AS outstanding,
+          COUNT(*) FILTER (WHERE "status" IN (${Prisma.join(OPEN_DOCUMENT_ITEM_STATUSES)}) AND "dueDate" < ${sqlTimestamp(new Date())})::int AS overdue
+        FROM items`,
+    ]);
+    const decisions = (kind) => decisionRows.find((row) => row.kind === kind);
+
     res.status(200).json({
-      message: 'Login successful!',
-      customer: customerData,
-      latestAssessment: assessments[0] || null,
+      decisions: {
+        all: describeRow(decisions(null)),
+        automatic: describeRow(decisions('automatic')),
+        manual: describeRow(decisions('manual')),
+        undecided: decisions('undecided') ? decisions('undecided').total : 0,
+      },
+      documentRequests: {
+        requestedItems: items ? items.requestedItems : 0,
+        hoursToUpload: describeRow(items),
+        outstanding: items ? items.outstanding : 0,
+        overdue: items ? items.overdue : 0,
+      },
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Something went wrong. Please try again later.' });
+    console.error('Failed to compute turnaround analytics:', error);
+    res.status(500).json({ error: 'Failed to compute turnaround analytics.' });
   }
 });
 
-// Bank User Login
-app.post('/api/bank-login', async (req, res) => {
-  const { username, password } = req.body;
+// Draft funnel for assessments started in the period: how many were submitted, abandoned (expired or
+// discarded) or are still open, and the question at which abandoned drafts stopped
+app.get('/api/analytics/abandonment', authenticate, canViewAnalytics, validateRequest(schemas.abandonmentAnalytics), checkAnalyticsRange, async (req, res) => {
   try {
-    const bankUser = await prisma.bankUser.findUnique({ where: { username } });
-    if (!bankUser) {
-      return res.status(401).json({ error: 'Invalid username or password.' });
+    const drafts = await prisma.assessmentDraft.findMany({
+      where: buildAnalyticsWhere(req.query),
+      select: { status: true, language: true, questionIds: true, answers: true, answeredCount: true },
+    });
+    const counts = { in_progress: 0, submitted: 0, expired: 0, discarded: 0 };
+    for (const draft of drafts) counts[draft.status] = (counts[draft.status] || 0) + 1;
+    const abandoned = drafts.filter((draft) => ['expired', 'discarded'].includes(draft.status));
+    const finished = counts.submitted + abandoned.length;
+
+    // Dynamic questions differ between drafts, so the position asked is reported as well as the question.
+    const byQuestion = new Map();
+    const byPosition = new Map();
+    let answeredEverything = 0;
+    for (const draft of abandoned) {
+      const questionId = firstUnansweredQuestion(draft);
+      if (!questionId) {
+        answeredEverything++;
+        continue;
+      }
+      const position = draftQuestionOrder(draft).indexOf(questionId) + 1;
+      const entry = byQuestion.get(questionId) || { questionId, core: CORE_QUESTION_IDS.includes(questionId), count: 0 };
+      entry.count++;
+      byQuestion.set(questionId, entry);
+      byPosition.set(position, (byPosition.get(position) || 0) + 1);
     }
-    const isMatch = await bcrypt.compare(password, bankUser.password);
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid username or password.' });
+
+    const byLanguage = {};
+    for (const draft of drafts) {
+      const entry = byLanguage[draft.language] || (byLanguage[draft.language] = { started: 0, submitted: 0, abandoned: 0 });
+      entry.started++;
+      if (draft.status === 'submitted') entry.submitted++;
+      if (['expired', 'discarded'].includes(draft.status)) entry.abandoned++;
     }
-    res.status(200).json({ message: 'Login successful!', user: { username: bankUser.username } });
+
+    res.status(200).json({
+      started: drafts.length,
+      counts,
+      completionRate: finished ? round(counts.submitted / finished, 3) : null,
+      answeredBeforeAbandoning: describe(abandoned.map((draft) => draft.answeredCount)),
+      stoppedAt: {
+        byPosition: [...byPosition.entries()].sort(([a], [b]) => a - b).map(([position, count]) => ({ position, count })),
+        byQuestion: [...byQuestion.values()].sort((a, b) => b.count - a.count),
+        answeredEverything,
+      },
+      byLanguage,
+    });
   } catch (error) {
-    console.error('Bank login error:', error);
-    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    console.error('Failed to compute abandonment analytics:', error);
+    res.status(500).json({ error: 'Failed to compute abandonment analytics.' });
   }
 });
 
 
-// Submit a new assessment
-app.post('/api/assessment/submit', async (req, res) => {
-  const { customerId, score, answers, breakdown, language } = req.body;
-  try {
-    let status;
-    if (score >= 700) status = 'Approved';
-    else if (score >= 500) status = 'Manual Review';
-    else status = 'Rejected';
+// ------------------
+// QUESTION BANK MODERATION (bank users)
+// ------------------
+// Every edit creates a DynamicQuestionVersion so assessments keep the wording their customer saw.
+// Edited questions go back to "unreviewed" until a senior approver or admin approves them again.
 
-    const newAssessment = await prisma.assessment.create({
-      data: { customerId: Number(customerId), score, answers, breakdown, status, language: language || 'en' },
-    });
+// Creates a question together with its first version.
+const createDynamicQuestion = ({ question, language, options, sourceQuestionId, generatedForId }, editedBy = null) => (
+  prisma.dynamicQuestion.create({
+    data: {
+      question,
+      language,
+      options,
+      sourceQuestionId,
+      generatedForId,
+      versions: { create: { version: 1, question, options, editedBy } },
+    },
+  })
+);
 
-    await prisma.customer.update({
-      where: { id: Number(customerId) },
-      data: { lastAccessed: new Date() },
-    });
+const canApproveQuestions = requireBankRole('senior_approver', 'admin');
 
-    res.status(201).json({ message: 'Assessment submitted successfully!', assessment: newAssessment });
+// List questions, optionally filtered by status and language
+app.get('/api/questions', authenticate, requireBankUser, validateRequest(schemas.listQuestions), async (req, res) => {
+  const { status, language } = req.query;
+  try {
+    const questions = await prisma.dynamicQuestion.findMany({
+      where: { status, language },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.status(200).json({ questions });
   } catch (error) {
-    // ⭐ IMPROVED ERROR LOGGING: This will now show the exact error from the backend.
-    console.error('Assessment submission error:', error);
-    res.status(500).json({ error: `Failed to submit assessment: ${error.message}` });
+    console.error('Failed to list questions:', error);
+    res.status(500).json({ error: 'Failed to retrieve questions.' });
   }
 });
 
-// Get all assessments for the bank dashboard
-app.get('/api/assessments', async (req, res) => {
+// Get one question with its full edit history and translations
+app.get('/api/questions/:id', authenticate, requireBankUser, validateRequest(schemas.question), async (req, res) => {
   try {
-    const assessments = await prisma.assessment.findMany({
+    const question = await prisma.dynamicQuestion.findUnique({
+      where: { id: req.params.id },
       include: {
-        customer: { select: { fname: true, lname: true } },
-        documents: true,
+        versions: { orderBy: { version: 'desc' } },
+        translations: { select: { id: true, language: true, status: true } },
       },
-      orderBy: { createdAt: 'desc' },
     });
-    res.status(200).json({ assessments });
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found.' });
+    }
+    res.status(200).json({ question });
   } catch (error) {
-    console.error('Failed to fetch all assessments:', error);
-    res.status(500).json({ error: 'Failed to retrieve assessments.' });
+    console.error('Failed to fetch question:', error);
+    res.status(500).json({ error: 'Failed to retrieve question.' });
   }
 });
 
-// Get a customer's latest assessment
-app.get('/api/customer/:id/latest-assessment', async (req, res) => {
-  const { id } = req.params;
+// Hand-author a new question
+app.post('/api/questions', authenticate, requireBankUser, validateRequest(schemas.createQuestion), async (req, res) => {
+  const { question, language, options } = req.body;
   try {
-    const assessment = await prisma.assessment.findFirst({
-      where: { customerId: Number(id) },
-      orderBy: { createdAt: 'desc' },
-      include: { messages: true, documents: true }
-    });
-    res.status(200).json({ assessment });
+    const created = await createDynamicQuestion({ question, language, options }, req.auth.id);
+    res.status(201).json({ message: 'Question created and awaiting approval.', question: created });
   } catch (error) {
-    console.error('Failed to fetch latest assessment:', error);
-    res.status(500).json({ error: 'Failed to fetch assessment data.' });
+    console.error('Failed to create question:', error);
+    res.status(500).json({ error: 'Failed to create question.' });
   }
 });
 
-// Update assessment status
-app.patch('/api/assessments/:id/status', async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+// Edit a question's wording or options (creates a new version)
+app.put('/api/questions/:id', authenticate, requireBankUser, validateRequest(schemas.updateQuestion), async (req, res) => {
+  const { question, options } = req.body;
   try {
-    const updatedAssessment = await prisma.assessment.update({
-      where: { id: Number(id) },
-      data: { status },
+    const existing = await prisma.dynamicQuestion.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Question not found.' });
+    }
+    if (existing.status === 'retired') {
+      return res.status(409).json({ error: 'Retired questions cannot be edited.' });
+    }
+    const version = existing.version + 1;
+    const updated = await prisma.dynamicQuestion.update({
+      where: { id: existing.id },
+      data: {
+        question,
+        options,
+        version,
+        status: 'unreviewed',
+        versions: { create: { version, question, options, editedBy: req.auth.id } },
+      },
     });
-    res.status(200).json({ message: 'Status updated successfully.', updatedAssessment });
+    res.status(200).json({ message: 'Question updated and awaiting approval.', question: updated });
   } catch (error) {
-    console.error('Failed to update status:', error);
-    res.status(500).json({ error: 'Failed to update status.' });
+    console.error('Failed to update question:', error);
+    res.status(500).json({ error: 'Failed to update question.' });
   }
 });
 
-// Endpoint to send a document request from the bank manager
-app.post('/api/assessments/:id/request-docs', async (req, res) => {
-  const { id } = req.params;
-  const { docTypes } = req.body;
+// Add a translation; option values must match the source question so scoring is unchanged
+app.post('/api/questions/:id/translations', authenticate, requireBankUser, validateRequest(schemas.translateQuestion), async (req, res) => {
+  const { language, question, options } = req.body;
   try {
-    const messageText = JSON.stringify({
-      type: 'document_request',
-      docTypes,
-    });
-
-    const newMessage = await prisma.message.create({
-      data: {
-        assessmentId: Number(id),
-        sender: 'Bank Manager',
-        text: messageText,
-      },
-    });
-
-    res.status(201).json({ message: 'Document request sent successfully.', newMessage });
+    const source = await prisma.dynamicQuestion.findUnique({ where: { id: req.params.id } });
+    if (!source) {
+      return res.status(404).json({ error: 'Question not found.' });
+    }
+    if (source.language === language) {
+      return sendValidationError(res, [{ field: 'language', message: 'must differ from the source question language.' }]);
+    }
+    const sourceValues = source.options.map((option) => option.value);
+    if (options.length !== sourceValues.length || options.some((option, i) => option.value !== sourceValues[i])) {
+      return sendValidationError(res, [{ field: 'options', message: 'must keep the source option values in the same order.' }]);
+    }
+    const translation = await createDynamicQuestion({ question, language, options, sourceQuestionId: source.id }, req.auth.id);
+    res.status(201).json({ message: 'Translation created and awaiting approval.', question: translation });
   } catch (error) {
-    console.error('Failed to send document request:', error);
-    res.status(500).json({ error: 'Failed to send document request.' });
+    console.error('Failed to create translation:', error);
+    res.status(500).json({ error: 'Failed to create translation.' });
   }
 });
 
-
-// Handle file uploads for an assessment
-app.post('/api/documents/upload', upload.single('document'), async (req, res) => {
+// Approve or retire a question (senior approvers and admins)
+const setQuestionStatus = (status) => async (req, res) => {
   try {
-    const { assessmentId, docType } = req.body;
-
-    if (!req.file || !assessmentId) {
-      return res.status(400).json({ error: 'No file or assessment ID provided.' });
+    const question = await prisma.dynamicQuestion.update({ where: { id: req.params.id }, data: { status } });
+    res.status(200).json({ message: `Question ${status}.`, question });
+  } catch (error) {
+    console.error(`Failed to set question status to ${status}:`, error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Question not found.' });
     }
+    res.status(500).json({ error: 'Failed to update question status.' });
+  }
+};
+app.post('/api/questions/:id/approve', authenticate, canApproveQuestions, validateRequest(schemas.question), setQuestionStatus('approved'));
+app.post('/api/questions/:id/retire', authenticate, canApproveQuestions, validateRequest(schemas.question), setQuestionStatus('retired'));
 
-    const { filename, originalname } = req.file;
-    const newDocument = await prisma.document.create({
-      data: {
-        fileName: filename,
-        originalName: originalname,
-        filePath: `uploads/${filename}`,
-        assessmentId: Number(assessmentId),
-        docType: docType,
-      },
-    });
-
-    const messageText = `Customer uploaded a document: "${originalname}" (${docType || 'unspecified type'}).`;
-    await prisma.message.create({
-      data: {
-        assessmentId: Number(assessmentId),
-        sender: 'System',
-        text: messageText,
-      },
-    });
 
-    res.status(201).json({ message: 'Document uploaded successfully.', document: newDocument });
-  } catch (error) {
-    console.error('Document upload error:', error);
-    res.status(500).json({ error: 'Failed to upload document.' });
+// Serves a random selection of approved question-bank entries, or null if there are too few.
+const loadQuestionBank = async (language) => {
+  const questions = await prisma.dynamicQuestion.findMany({ where: { language, status: 'approved' } });
+  if (questions.length < DYNAMIC_QUESTION_COUNT) return null;
+  for (let i = questions.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [questions[i], questions[j]] = [questions[j], questions[i]];
   }
-});
+  return questions.slice(0, DYNAMIC_QUESTION_COUNT);
+};
 
+// ------------------
+// AI OUTPUT VALIDATION
+// ------------------
+// Generated questions must match this exactly: DYNAMIC_QUESTION_COUNT items of
+// { id?, question, options: [{ text, value }] } with one option per allowed value.
 
-// Get messages for an assessment
-app.get('/api/assessments/:id/messages', async (req, res) => {
-  const { id } = req.params;
-  try {
-    const messages = await prisma.message.findMany({
-      where: { assessmentId: Number(id) },
-      orderBy: { createdAt: 'asc' },
-    });
-    res.status(200).json({ messages });
-  } catch (error) {
-    console.error('Failed to fetch messages:', error);
-    res.status(500).json({ error: 'Failed to retrieve messages.' });
+// Returns a list of problems with a parsed AI question array (empty when valid).
+const validateGeneratedQuestions = (questions) => {
+  if (!Array.isArray(questions)) return ['The response must be a JSON array.'];
+  const errors = [];
+  const expectedValues = scoringModel.dynamicQuestions.allowedValues;
+  if (questions.length !== DYNAMIC_QUESTION_COUNT) {
+    errors.push(`Expected exactly ${DYNAMIC_QUESTION_COUNT} questions but got ${questions.length}.`);
   }
-});
+  const seen = new Set();
+  questions.forEach((q, i) => {
+    if (!q || typeof q !== 'object') return errors.push(`Item ${i} must be an object.`);
+    const extraKeys = Object.keys(q).filter((key) => !['id', 'question', 'options'].includes(key));
+    if (extraKeys.length) errors.push(`Item ${i} has unexpected fields: ${extraKeys.join(', ')}.`);
+    if (typeof q.question !== 'string' || !q.question.trim()) {
+      errors.push(`Item ${i} must have a non-empty "question" string.`);
+    } else if (seen.has(q.question.trim())) {
+      errors.push(`Item ${i} repeats an earlier question.`);
+    } else {
+      seen.add(q.question.trim());
+    }
+    if (!Array.isArray(q.options) || q.options.length !== expectedValues.length) {
+      return errors.push(`Item ${i} must have exactly ${expectedValues.length} options.`);
+    }
+    q.options.forEach((option, j) => {
+      if (!option || typeof option.text !== 'string' || !option.text.trim()) {
+        errors.push(`Item ${i} option ${j} must have a non-empty "text" string.`);
+      }
+      if (!option || Object.keys(option).some((key) => !['text', 'value'].includes(key))) {
+        errors.push(`Item ${i} option ${j} may only contain "text" and "value".`);
+      }
+    });
+    const values = q.options.map((option) => option && option.value).sort((a, b) => b - a);
+    if (values.some((value, j) => value !== expectedValues[j])) {
+      errors.push(`Item ${i} option values must be exactly ${expectedValues.join(', ')}.`);
+    }
+  });
+  return errors;
+};
 
-// Send a new message for an assessment
-app.post('/api/assessments/:id/message', async (req, res) => {
-  const { id } = req.params;
-  const { sender, text } = req.body;
+// Extracts and validates the JSON array in a model response. Returns { questions, errors }.
+const parseGeneratedQuestions = (text) => {
+  // Models sometimes wrap the array in prose or code fences, so parse from the first '[' to the last ']'.
+  const jsonStart = text.indexOf('[');
+  const jsonEnd = text.lastIndexOf(']');
+  if (jsonStart === -1 || jsonEnd === -1) {
+    return { errors: ['The response did not contain a JSON array.'] };
+  }
+  let questions;
   try {
-    const newMessage = await prisma.message.create({
-      data: { assessmentId: Number(id), sender, text },
-    });
-    res.status(201).json({ message: 'Message sent successfully.', newMessage });
+    questions = JSON.parse(text.substring(jsonStart, jsonEnd + 1));
   } catch (error) {
-    console.error('Failed to send message:', error);
-    res.status(500).json({ error: 'Failed to send message.' });
+    return { errors: [`The response is not valid JSON: ${error.message}`] };
+  }
+  return { questions, errors: validateGeneratedQuestions(questions) };
+};
+
+const buildRepairPrompt = (originalPrompt, previousResponse, errors) => `
+      ${originalPrompt}
+
+      Your previous response was rejected for these reasons:
+      ${errors.map((error) => `- ${error}`).join('\n      ')}
+
+      Previous response:
+      ${previousResponse}
+
+      Return ONLY the corrected JSON array, with no commentary or code fences.
+    `;
+
+// Asks the model for questions, re-prompting with the validation errors up to AI_REPAIR_ATTEMPTS
+// times. `stats.attempts` is updated as it goes so callers can record it even on failure.
+const generateValidatedQuestions = async (prompt, languageCode, stats) => {
+  let currentPrompt = prompt;
+  let errors = [];
+  for (stats.attempts = 1; stats.attempts <= AI_REPAIR_ATTEMPTS + 1; stats.attempts++) {
+    const text = await llm.generateText(currentPrompt, { task: 'questions', variant: languageCode });
+    const parsed = parseGeneratedQuestions(text);
+    if (!parsed.errors.length) return parsed.questions;
+    errors = parsed.errors;
+    console.warn(`Generated questions failed validation (attempt ${stats.attempts}): ${errors.join(' ')}`);
+    currentPrompt = buildRepairPrompt(prompt, text, errors);
   }
+  stats.attempts -= 1;
+  stats.errors = errors;
+  throw new Error(`AI response failed validation after ${stats.attempts} attempts.`);
+};
+
+// Stores one row per AI call: outcome is "valid", "repaired", "fallback" or "failed".
+const recordAiCall = ({ task, outcome, attempts, startedAt, errors }) => {
+  prisma.aiCallMetric.create({
+    data: { task, outcome, attempts, durationMs: Date.now() - startedAt, errors, model: llm.model },
+  }).catch((error) => console.error('Failed to record AI call metric:', error));
+};
+
+// `reviewed: false` tells the client the question has not been approved by bank staff yet.
+const formatDynamicQuestion = ({ id, question, options, status }) => ({
+  id,
+  question,
+  options,
+  reviewed: status === 'approved',
 });
 
+// Picks the dynamic questions for one assessment: approved questions from the bank when
+// QUESTION_SOURCE is "bank", otherwise freshly generated ones (stored so answers can reference them),
+// falling back to the bank when generation fails. Returns { source, questions } with DynamicQuestion
+// rows, or null when the bank is the source but has too few approved questions.
+// Generated questions record the customer they were served to, so a direct submit can score them.
+const serveDynamicQuestions = async (languageCode, coreQuestionIds, customerId = null) => {
+  if (QUESTION_SOURCE === 'bank') {
+    const bankQuestions = await loadQuestionBank(languageCode);
+    return bankQuestions && { source: 'bank', questions: bankQuestions };
+  }
 
-// ⭐ Corrected Endpoint: Added robust JSON parsing to handle malformed AI responses.
-app.post('/api/generate-questions', async (req, res) => {
+  const stats = { attempts: 0 };
+  const startedAt = Date.now();
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash'});
-    const { coreQuestionIds, language } = req.body;
-
-    const languageMap = { en: 'English', hi: 'Hindi', te: 'Telugu' };
-    const targetLanguage = languageMap[language] || 'English';
+    const targetLanguage = LANGUAGE_NAMES[languageCode];
 
     const prompt = `
       You are an AI assistant for a financial credit assessment tool.
-      Your task is to generate exactly 7 unique, insightful, behavioral finance questions for a user.
+      Your task is to generate exactly ${DYNAMIC_QUESTION_COUNT} unique, insightful, behavioral finance questions for a user.
       
       IMPORTANT: The user's primary language is ${targetLanguage}. You MUST generate the "question" and the "text" for all options in ${targetLanguage}.
 
@@ -341,77 +3353,366 @@ app.post('/api/generate-questions', async (req, res) => {
       }
     `;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    // ⭐ THE FIX: Use a more robust way to clean and parse the JSON string.
-    // This looks for the first '{' and last '}' to extract the JSON object.
-    const jsonStart = text.indexOf('[');
-    const jsonEnd = text.lastIndexOf(']');
-    if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error('AI response did not contain a valid JSON array.');
+    const jsonResponse = await generateValidatedQuestions(prompt, languageCode, stats);
+
+    // Store every generated question so answers can reference it by its real id.
+    const storedQuestions = await prisma.$transaction(jsonResponse.map((q) => createDynamicQuestion({
+      question: q.question,
+      language: languageCode,
+      options: q.options,
+      generatedForId: customerId,
+    })));
+
+    recordAiCall({ task: 'questions', outcome: stats.attempts > 1 ? 'repaired' : 'valid', attempts: stats.attempts, startedAt });
+    return { source: 'ai', questions: storedQuestions };
+  } catch (error) {
+    // Keep the assessment usable when Gemini is down, rate-limited or keeps returning invalid output.
+    const bankQuestions = await loadQuestionBank(languageCode).catch(() => null);
+    const errors = stats.errors || [error.message];
+    recordAiCall({ task: 'questions', outcome: bankQuestions ? 'fallback' : 'failed', attempts: stats.attempts, startedAt, errors });
+    if (!bankQuestions) throw error;
+    console.warn(`Question generation failed (${error.message}); serving the question bank instead.`);
+    return { source: 'bank', questions: bankQuestions };
+  }
+};
+
+const sendQuestionsUnavailable = (res) => res.status(503).json({ error: res.req.t('questions.unavailable') });
+
+const handleQuestionServingError = (error, res) => {
+  if (QUESTION_SOURCE === 'bank') {
+    console.error('Failed to load question bank:', error);
+    return res.status(500).json({ error: res.req.t('questions.loadFailed') });
+  }
+  handleLlmError(error, res, 'generating dynamic questions', res.req.t('questions.generateFailed'));
+};
+
+// Dynamic questions for a new assessment in the given language (see serveDynamicQuestions);
+// X-Question-Source tells the client whether they were generated or came from the bank.
+app.post('/api/generate-questions', authenticate, validateRequest(schemas.generateQuestions), async (req, res) => {
+  const { coreQuestionIds, language: languageCode } = req.body;
+  try {
+    const served = await serveDynamicQuestions(languageCode, coreQuestionIds, req.auth.type === 'customer' ? req.auth.id : null);
+    if (!served) return sendQuestionsUnavailable(res);
+    res.set('X-Question-Source', served.source).json(served.questions.map(formatDynamicQuestion));
+  } catch (error) {
+    handleQuestionServingError(error, res);
+  }
+});
+
+
+// ------------------
+// ASSESSMENT DRAFTS
+// ------------------
+// A customer starts a draft, which fixes the language and the dynamic questions served, saves
+// answers as they go (from any device), and submits it to create the Assessment. Drafts not
+// saved for DRAFT_TTL_DAYS expire; expired and discarded drafts show where customers gave up.
+const DRAFT_TTL_MS = Number(process.env.DRAFT_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+const DRAFT_EXPIRY_POLL_MS = 60 * 60 * 1000;
+
+// Every question of a draft in the order it is asked: core questions first, then the dynamic ones.
+const draftQuestionOrder = (draft) => [...CORE_QUESTION_IDS, ...draft.questionIds];
+
+// The first question a draft has no answer for (where an abandoned draft stopped), or null.
+const firstUnansweredQuestion = (draft) => draftQuestionOrder(draft).find((id) => !(id in (draft.answers || {}))) || null;
+
+const expireStaleDrafts = async () => {
+  try {
+    const { count } = await prisma.assessmentDraft.updateMany({
+      where: { status: 'in_progress', expiresAt: { lt: new Date() } },
+      data: { status: 'expired' },
+    });
+    if (count) console.log(`Expired ${count} stale assessment draft(s).`);
+  } catch (error) {
+    console.error('Draft expiry error:', error);
+  }
+};
+
+// The draft with the dynamic questions the customer was served, in order, for resuming.
+const formatDraft = async (draft) => {
+  const questions = await prisma.dynamicQuestion.findMany({ where: { id: { in: draft.questionIds } } });
+  const byId = new Map(questions.map((question) => [question.id, question]));
+  return {
+    draft,
+    coreQuestionIds: CORE_QUESTION_IDS,
+    questions: draft.questionIds.map((id) => byId.get(id)).filter(Boolean).map(formatDynamicQuestion),
+    nextQuestionId: firstUnansweredQuestion(draft),
+  };
+};
+
+// Loads the customer's own draft into req.draft; only drafts still in progress can be changed.
+// Like assessments, drafts set the response language for customers without one of their own.
+const requireOpenDraft = async (req, res, next) => {
+  try {
+    const draft = await prisma.assessmentDraft.findFirst({ where: { id: req.params.id, customerId: req.auth.id } });
+    if (!draft) {
+      return res.status(404).json({ error: req.t('draft.notFound') });
+    }
+    if (!req.auth.language) req.language = draft.language;
+    if (draft.status === 'in_progress' && draft.expiresAt < new Date()) {
+      await prisma.assessmentDraft.update({ where: { id: draft.id }, data: { status: 'expired' } });
+      draft.status = 'expired';
+    }
+    if (draft.status !== 'in_progress') {
+      return res.status(409).json({ error: req.t('draft.closed', { draftStatus: draft.status }) });
+    }
+    req.draft = draft;
+    next();
+  } catch (error) {
+    console.error('Draft lookup error:', error);
+    res.status(500).json({ error: req.t('common.serverError') });
+  }
+};
+
+// Start an assessment, or resume the one already in progress
+app.post('/api/assessment/drafts', authenticate, requireCustomerUser, validateRequest(schemas.startDraft), async (req, res) => {
+  const { language, product } = req.body;
+  try {
+    const existing = await prisma.assessmentDraft.findFirst({
+      where: { customerId: req.auth.id, status: 'in_progress', expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (existing) {
+      return res.status(200).json({ message: req.t('draft.resumed'), ...await formatDraft(existing) });
+    }
+    const policy = await getActivePolicy();
+    const blocks = await findReapplicationBlocks(req.auth.id, policy.rules, req.t);
+    if (blocks.length) {
+      return res.status(409).json({ error: blocks[0].message, reasons: blocks });
+    }
+    const served = await serveDynamicQuestions(language, CORE_QUESTION_IDS, req.auth.id);
+    if (!served) return sendQuestionsUnavailable(res);
+    const draft = await prisma.assessmentDraft.create({
+      data: {
+        customerId: req.auth.id,
+        language,
+        product,
+        questionIds: served.questions.map((question) => question.id),
+        questionSource: served.source,
+        expiresAt: new Date(Date.now() + DRAFT_TTL_MS),
+      },
+    });
+    res.status(201).json({ message: req.t('draft.started'), ...await formatDraft(draft) });
+  } catch (error) {
+    handleQuestionServingError(error, res);
+  }
+});
+
+// The customer's assessment in progress, if any, with everything needed to resume it
+app.get('/api/assessment/drafts/current', authenticate, requireCustomerUser, async (req, res) => {
+  try {
+    const draft = await prisma.assessmentDraft.findFirst({
+      where: { customerId: req.auth.id, status: 'in_progress', expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (!draft) {
+      return res.status(404).json({ error: req.t('draft.noneInProgress') });
+    }
+    res.status(200).json(await formatDraft(draft));
+  } catch (error) {
+    console.error('Failed to fetch draft:', error);
+    res.status(500).json({ error: req.t('draft.fetchFailed') });
+  }
+});
+
+// Save answers ({ questionId: answer }, null clears one); merged into what was saved before
+app.patch('/api/assessment/drafts/:id', authenticate, requireCustomerUser, validateRequest(schemas.saveDraft), requireOpenDraft, async (req, res) => {
+  const { answers } = req.body;
+  const { draft } = req;
+  if (Array.isArray(answers)) {
+    return sendValidationError(res, [{ field: 'answers', key: 'answers.notAnObject' }]);
+  }
+  try {
+    const served = new Set(draftQuestionOrder(draft));
+    const dynamicQuestions = await loadAnsweredDynamicQuestions(answers, draft.questionIds);
+    const errors = [];
+    for (const [questionId, answer] of Object.entries(answers)) {
+      if (!served.has(questionId)) {
+        errors.push({ field: `answers.${questionId}`, key: 'answers.notInAssessment' });
+      } else if (answer !== null) {
+        const scored = scoreAnswer(questionId, answer, dynamicQuestions);
+        if (typeof scored === 'string') errors.push({ field: `answers.${questionId}`, key: scored });
+      }
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors, 'validation.invalidAnswers');
     }
-    const cleanedText = text.substring(jsonStart, jsonEnd + 1);
 
-    const jsonResponse = JSON.parse(cleanedText);
-    
-    // Ensure IDs are consistent
-    jsonResponse.forEach((q, index) => {
-        q.id = `dynamic_question_${index + 1}`;
+    const merged = { ...draft.answers };
+    for (const [questionId, answer] of Object.entries(answers)) {
+      if (answer === null) delete merged[questionId];
+      else merged[questionId] = answer;
+    }
+    const answered = Object.keys(answers).filter((questionId) => answers[questionId] !== null);
+    const updated = await prisma.assessmentDraft.update({
+      where: { id: draft.id },
+      data: {
+        answers: merged,
+        answeredCount: Object.keys(merged).length,
+        lastQuestionId: answered.length ? answered[answered.length - 1] : draft.lastQuestionId,
+        expiresAt: new Date(Date.now() + DRAFT_TTL_MS),
+      },
     });
+    res.status(200).json({ draft: updated, nextQuestionId: firstUnansweredQuestion(updated) });
+  } catch (error) {
+    console.error('Failed to save draft:', error);
+    res.status(500).json({ error: req.t('draft.saveFailed') });
+  }
+});
 
-    res.json(jsonResponse);
+// Submit a finished draft: every question served must be answered
+app.post('/api/assessment/drafts/:id/submit', authenticate, requireCustomerUser, validateRequest(schemas.submitDraft), requireOpenDraft, async (req, res) => {
+  const { draft } = req;
+  const missing = draftQuestionOrder(draft).filter((questionId) => !(questionId in draft.answers));
+  if (missing.length) {
+    return sendValidationError(res, missing.map((questionId) => ({ field: `answers.${questionId}`, key: 'validation.required' })), 'validation.assessmentIncomplete');
+  }
+  try {
+    // Claim the draft so a double submit cannot create two assessments.
+    const { count } = await prisma.assessmentDraft.updateMany({
+      where: { id: draft.id, status: 'in_progress' },
+      data: { status: 'submitted', submittedAt: new Date() },
+    });
+    if (!count) {
+      return res.status(409).json({ error: req.t('draft.alreadySubmitted') });
+    }
+    const reopen = () => prisma.assessmentDraft.update({ where: { id: draft.id }, data: { status: 'in_progress', submittedAt: null } });
+    let result;
+    try {
+      result = await createAssessment({
+        customerId: req.auth.id,
+        answers: draft.answers,
+        language: draft.language,
+        product: draft.product || undefined,
+        clientScore: req.body.score,
+        servedQuestionIds: draft.questionIds,
+        t: req.t,
+      });
+    } catch (error) {
+      await reopen();
+      throw error;
+    }
+    if (!result.assessment) await reopen();
+    if (sendRejectedSubmission(res, result)) return;
+    await prisma.assessmentDraft.update({ where: { id: draft.id }, data: { assessmentId: result.assessment.id } });
+    res.status(201).json({ message: req.t('assessment.submitted'), assessment: result.assessment });
+  } catch (error) {
+    console.error('Draft submission error:', error);
+    res.status(500).json({ error: req.t('assessment.submitFailed', { reason: error.message }) });
+  }
+});
 
+// Discard the draft (counted as abandoned at the question it stopped at)
+app.delete('/api/assessment/drafts/:id', authenticate, requireCustomerUser, validateRequest(schemas.draft), requireOpenDraft, async (req, res) => {
+  try {
+    await prisma.assessmentDraft.update({ where: { id: req.draft.id }, data: { status: 'discarded' } });
+    res.status(200).json({ message: req.t('draft.discarded') });
   } catch (error) {
-    handleGeminiError(error, res, 'generating dynamic questions');
+    console.error('Failed to discard draft:', error);
+    res.status(500).json({ error: req.t('draft.discardFailed') });
   }
 });
 
 
 // ----------------------------------------------------------------
-// AI SUMMARY ENDPOINT (REFACTORED AND WITH IMPROVED ERROR HANDLING)
+// AI ASSESSMENT SUMMARIES (bank users)
 // ----------------------------------------------------------------
-// ----------------------------------------------------------------
-// AI SUMMARY ENDPOINT (CORRECTED)
-// ----------------------------------------------------------------
-app.post("/api/summary", async (req, res) => {
-  try {
-    const { message } = req.body; // Assuming the frontend sends the prompt as 'message'
-    if (!message) {
-      return res.status(400).json({ error: "Request body must contain a 'message' field" });
-    }
-    
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    // Construct the correct `contents` object for the API
-    const chat = model.startChat({
-        history: [], // You can add previous conversation turns here if needed
-        generationConfig: {
-            temperature: 0.5,
-        },
-    });
+// The prompt is built on the server from the stored assessment only, so the endpoint cannot be
+// used as a general-purpose LLM proxy. Each generation is kept as a new version.
+
+// Builds the summary prompt from an assessment's stored data (no names, PAN or account numbers).
+const buildSummaryPrompt = (assessment) => {
+  const targetLanguage = LANGUAGE_NAMES[assessment.language] || 'English';
+  const dynamicAnswers = assessment.questions.map(({ version, value }) => {
+    const chosen = version && version.options.find((option) => option.value === value);
+    return `- ${version ? version.question : 'Unknown question'} -> ${chosen ? chosen.text : value}`;
+  });
+  const documents = assessment.documents.map((doc) => `- ${doc.docType || 'unspecified type'}: ${doc.originalName}`);
+  const messages = assessment.messages.map((message) => `- [${message.sender}] ${message.text}`);
+
+  return `
+      You are assisting a bank credit reviewer. Summarise this applicant's credit assessment in ${targetLanguage}.
+      Cover financial behaviour, strengths, risks, and anything the reviewer should verify. Be factual and
+      only use the data below. Keep it under 200 words.
+
+      Score: ${assessment.score} (status: ${assessment.status})
+      Category breakdown (0-100): ${JSON.stringify(assessment.breakdown)}
+      Core answers: ${JSON.stringify(assessment.answers)}
+      Behavioural question answers:
+      ${dynamicAnswers.join('\n      ') || '- none'}
+      Documents provided:
+      ${documents.join('\n      ') || '- none'}
+      Conversation with the bank:
+      ${messages.join('\n      ') || '- none'}
+    `;
+};
 
-    // Pass the message directly to `sendMessage` which handles the correct JSON structure
-    const result = await chat.sendMessage(message);
-    const response = await result.response;
-    const text = response.text();
+// Get the latest summary and earlier versions for an assessment
+app.get('/api/assessments/:id/summary', authenticate, requireBankUser, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  try {
+    const summaries = await prisma.assessmentSummary.findMany({
+      where: { assessmentId: req.assessment.id },
+      orderBy: { version: 'desc' },
+    });
+    res.status(200).json({ summary: summaries[0] || null, history: summaries.slice(1) });
+  } catch (error) {
+    console.error('Failed to fetch summary:', error);
+    res.status(500).json({ error: 'Failed to retrieve summary.' });
+  }
+});
 
-    res.json({
-      candidates: [{
-        content: {
-          parts: [{ text }]
-        }
-      }]
+// Generate (or regenerate) the summary for an assessment
+app.post('/api/assessments/:id/summary', authenticate, requireBankUser, validateRequest(schemas.assessment), requireAssessmentAccess, async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const assessment = await prisma.assessment.findUnique({
+      where: { id: req.assessment.id },
+      include: {
+        documents: true,
+        messages: { orderBy: { createdAt: 'asc' } },
+        questions: { include: { version: true } },
+      },
     });
+    const language = assessment.language || 'en';
+    const text = await llm.generateText(buildSummaryPrompt(assessment), { task: 'summary', variant: language });
 
+    const latest = await prisma.assessmentSummary.findFirst({
+      where: { assessmentId: assessment.id },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    const summary = await prisma.assessmentSummary.create({
+      data: {
+        assessmentId: assessment.id,
+        version: (latest ? latest.version : 0) + 1,
+        text: text.trim(),
+        language,
+        model: `${llm.name}:${llm.model}`,
+        generatedBy: req.auth.id,
+      },
+    });
+    recordAiCall({ task: 'summary', outcome: 'valid', attempts: 1, startedAt });
+    res.status(201).json({ message: 'Summary generated successfully.', summary });
   } catch (error) {
-    handleGeminiError(error, res, 'generating AI summary');
+    recordAiCall({ task: 'summary', outcome: 'failed', attempts: 1, startedAt, errors: [error.message] });
+    handleLlmError(error, res, 'generating AI summary');
   }
 });
+
 // ------------------
 // START SERVER
 // ------------------
-app.listen(port, () => {
-  console.log(`Server is running on http://localhost:${port}`);
-});
\ No newline at end of file
+// Only when run directly: tests require the app without listening or starting the background queues.
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Server is running on http://localhost:${port}`);
+    // Picks up analyses queued before a restart or by other instances.
+    setInterval(runDocumentAnalysisQueue, DOCUMENT_ANALYSIS_POLL_MS).unref();
+    runDocumentAnalysisQueue();
+    setInterval(runNotificationQueue, NOTIFICATION_POLL_MS).unref();
+    runNotificationQueue();
+    setInterval(expireStaleDrafts, DRAFT_EXPIRY_POLL_MS).unref();
+    expireStaleDrafts();
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// ------------------
+// DOCUMENT STORAGE LAYER
+// ------------------
+// Routes and scripts read and write document bytes through `storage.put/get/exists/delete/list`
+// and never touch the filesystem or a bucket directly. Keys look like "documents/12/<uuid>.pdf".
+// STORAGE_DRIVER picks the implementation: "local" (default, a directory on disk) or "s3"
+// (any S3-compatible service; point S3_ENDPOINT at e.g. http://localhost:9000 for a local MinIO).
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+const DRIVERS = { local: createLocalStorage, s3: createS3Storage };
+
+const loadStorageConfig = (env = process.env) => ({
+  driver: env.STORAGE_DRIVER || 'local',
+  rootDir: path.resolve(__dirname, '..', env.DOCUMENT_STORAGE_DIR || 'data/documents'),
+  bucket: env.S3_BUCKET,
+  region: env.S3_REGION || 'us-east-1',
+  endpoint: env.S3_ENDPOINT,
+  forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId: env.S3_ACCESS_KEY_ID,
+  secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+});
+
+// Keys are generated by the server, but never let one climb out of its root or bucket prefix.
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key "${key}".`);
+  }
+};
+
+const createDocumentStorage = (config = loadStorageConfig()) => {
+  const factory = DRIVERS[config.driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${config.driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}.`);
+  }
+  const backend = factory(config);
+
+  return {
+    name: config.driver,
+    // body is a Buffer; options: { contentType }
+    put(key, body, options = {}) {
+      assertValidKey(key);
+      return backend.put(key, body, options);
+    },
+    // Resolves to a readable stream of the object, or null if it does not exist.
+    get(key) {
+      assertValidKey(key);
+      return backend.get(key);
+    },
+    exists(key) {
+      assertValidKey(key);
+      return backend.exists(key);
+    },
+    delete(key) {
+      assertValidKey(key);
+      return backend.delete(key);
+    },
+    // Resolves to [{ key, size, lastModified }] for every object under the prefix (e.g. "documents/").
+    list(prefix) {
+      return backend.list(prefix);
+    },
+  };
+};
+
+module.exports = { createDocumentStorage, loadStorageConfig };
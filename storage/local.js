@@ -0,0 +1,61 @@
+// Local-disk implementation of the document storage interface (single instance / development).
+const fs = require('fs');
+const path = require('path');
+
+module.exports = (config) => {
+  fs.mkdirSync(config.rootDir, { recursive: true });
+  const resolve = (key) => path.join(config.rootDir, ...key.split('/'));
+
+  const exists = async (key) => {
+    try {
+      await fs.promises.access(resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  return {
+    async put(key, body) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temporary name first so readers never see a partial file.
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, body);
+      await fs.promises.rename(tempPath, filePath);
+    },
+    async get(key) {
+      if (!await exists(key)) return null;
+      return fs.createReadStream(resolve(key));
+    },
+    exists,
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+    async list(prefix) {
+      const startDir = resolve(prefix.replace(/\/+$/, ''));
+      const objects = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else {
+            const stats = await fs.promises.stat(entryPath);
+            const key = path.relative(config.rootDir, entryPath).split(path.sep).join('/');
+            objects.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      };
+      await walk(startDir);
+      return objects;
+    },
+  };
+};
@@ -0,0 +1,67 @@
+// S3-compatible implementation of the document storage interface (AWS S3, MinIO, etc.).
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NoSuchKey'
+  || error.name === 'NotFound'
+  || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+module.exports = (config) => {
+  if (!config.bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is "s3".');
+  }
+  const client = new S3Client({
+    region: config.region,
+    endpoint: config.endpoint,
+    forcePathStyle: config.forcePathStyle,
+    credentials: config.accessKeyId
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined,
+  });
+  const Bucket = config.bucket;
+
+  return {
+    async put(key, body, { contentType }) {
+      await client.send(new PutObjectCommand({ Bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+    async get(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket, Key: key }));
+        return result.Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+    async list(prefix) {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: prefix, ContinuationToken }));
+        for (const item of page.Contents || []) {
+          objects.push({ key: item.Key, size: item.Size, lastModified: item.LastModified });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+  };
+};
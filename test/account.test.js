@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, PASSWORD } = require('./helpers/server');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+describe('change password', () => {
+  const changePassword = (customer, currentPassword) => api.request('POST', `/api/customer/${customer.id}/password`, {
+    token: customer.accessToken,
+    body: { currentPassword, newPassword: 'another horse 2' },
+  });
+
+  it('locks the account after too many wrong current passwords', async () => {
+    const customer = await api.createCustomer();
+    for (let attempt = 1; attempt < 5; attempt++) {
+      assert.equal((await changePassword(customer, 'wrong password')).status, 401);
+    }
+    const locked = await changePassword(customer, 'wrong password');
+    assert.equal(locked.status, 423);
+    assert.ok(locked.headers.get('retry-after'));
+
+    // The lock covers the right password and logging in as well.
+    assert.equal((await changePassword(customer, PASSWORD)).status, 423);
+    assert.equal((await api.request('POST', '/api/login', { body: { email: customer.email, password: PASSWORD } })).status, 423);
+  });
+
+  it('clears earlier failures once the password is changed', async () => {
+    const customer = await api.createCustomer();
+    assert.equal((await changePassword(customer, 'wrong password')).status, 401);
+    const changed = await changePassword(customer, PASSWORD);
+    assert.equal(changed.status, 200);
+    assert.equal((await api.prisma.customer.findUnique({ where: { id: customer.id } })).failedLoginAttempts, 0);
+  });
+
+  it('throttles an IP that keeps guessing across accounts', async () => {
+    // Logging in is throttled too, so sign everyone in first.
+    const customers = [];
+    for (let i = 0; i < 4; i++) customers.push(await api.createCustomer());
+    const another = customers.pop();
+    // 6 failures so far in this file; LOGIN_IP_MAX_FAILURES defaults to 20.
+    for (const customer of customers) {
+      for (let attempt = 0; attempt < 5; attempt++) await changePassword(customer, 'wrong password');
+    }
+    const throttled = await changePassword(another, PASSWORD);
+    assert.equal(throttled.status, 429);
+    assert.ok(throttled.headers.get('retry-after'));
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+const { createTestPostgres, routeRawQueries } = require('./helpers/postgres');
+
+// The aggregates run as SQL, so they are checked against Postgres (PGlite) seeded with the rows below.
+// Everything else, including logging in, still uses the in-memory client.
+const SEED = `
+  INSERT INTO "Customer" ("fname", "lname", "gender", "age", "email", "password", "updatedAt") VALUES
+    ('Asha', 'Rao', 'female', 30, 'asha@example.com', 'x', now()),
+    ('Ravi', 'Kumar', 'male', 50, 'ravi@example.com', 'x', now()),
+    ('Lata', 'Devi', 'female', 70, 'lata@example.com', 'x', now());
+  INSERT INTO "DecisionPolicy" ("version", "name", "rules", "state") VALUES (1, 'Launch bands', '{}', 'active');
+  INSERT INTO "Assessment" ("customerId", "score", "status", "policyId", "language", "answers", "breakdown", "createdAt", "updatedAt") VALUES
+    (1, 700, 'Approved', 1, 'en', '{}', '{}', '2025-01-07 10:00', now()),
+    (1, 300, 'Rejected', 1, 'en', '{}', '{}', '2025-01-08 10:00', now()),
+    (2, 900, 'Approved', NULL, 'hi', '{}', '{}', '2025-01-15 10:00', now()),
+    (3, 550, 'Manual Review', NULL, NULL, '{}', '{}', '2025-02-03 10:00', now()),
+    (2, 820, 'Pending', NULL, 'en', '{}', '{}', '2024-06-01 10:00', now());
+  INSERT INTO "AssessmentStatusChange" ("assessmentId", "fromStatus", "toStatus", "reason", "actorType", "createdAt") VALUES
+    (1, NULL, 'Approved', 'Decision policy v1', 'system', '2025-01-07 10:00'),
+    (2, NULL, 'Manual Review', 'Decision policy v1', 'system', '2025-01-08 10:00'),
+    (2, 'Manual Review', 'Rejected', 'Income not verified', 'bank', '2025-01-08 15:00'),
+    (3, 'Manual Review', 'Approved', 'Verified', 'bank', '2025-01-16 10:00');
+  INSERT INTO "Document" ("fileName", "docType", "assessmentId", "uploadDate") VALUES ('pan.pdf', 'pan_card', 1, '2025-01-07 14:00');
+  INSERT INTO "DocumentRequest" ("assessmentId", "dueDate", "createdAt") VALUES
+    (1, '2025-01-10 00:00', '2025-01-07 12:00'),
+    (3, NULL, '2025-01-15 12:00');
+  INSERT INTO "DocumentRequestItem" ("requestId", "docType", "status", "documentId", "updatedAt") VALUES
+    (1, 'pan_card', 'uploaded', 1, now()),
+    (1, 'salary_slip', 'requested', NULL, now()),
+    (2, 'bank_statement', 'requested', NULL, now());
+`;
+const RANGE = 'from=2025-01-01&to=2025-03-31';
+const EMPTY_RANGE = 'from=2023-01-01&to=2023-06-30';
+
+let api;
+let admin;
+
+const get = async (url) => {
+  const response = await api.request('GET', url, { token: admin.accessToken });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+};
+
+before(async () => {
+  const db = await createTestPostgres();
+  await db.exec(SEED);
+  api = await startServer();
+  routeRawQueries(api.prisma, db);
+  admin = await api.createBankUser({ role: 'admin' });
+});
+
+after(() => api.close());
+
+describe('decision analytics', () => {
+  it('counts decisions per ISO week and per policy', async () => {
+    const body = await get(`/api/analytics/decisions?${RANGE}&interval=week`);
+    assert.deepEqual(
+      { total: body.overall.total, approved: body.overall.counts.Approved, approvalRate: body.overall.approvalRate, avgScore: body.overall.avgScore },
+      { total: 4, approved: 2, approvalRate: 0.5, avgScore: 612.5 },
+    );
+    assert.deepEqual(body.periods.map(({ period, total, avgScore }) => ({ period, total, avgScore })), [
+      { period: '2025-01-06', total: 2, avgScore: 500 },
+      { period: '2025-01-13', total: 1, avgScore: 900 },
+      { period: '2025-02-03', total: 1, avgScore: 550 },
+    ]);
+    assert.deepEqual(body.byPolicy.map(({ policyId, total, rejectionRate }) => ({ policyId, total, rejectionRate })), [
+      { policyId: null, total: 2, rejectionRate: 0 },
+      { policyId: 1, total: 2, rejectionRate: 0.5 },
+    ]);
+  });
+
+  it('groups by month and filters by language', async () => {
+    const body = await get(`/api/analytics/decisions?${RANGE}&interval=month&language=en`);
+    assert.deepEqual(body.periods.map(({ period, total }) => ({ period, total })), [{ period: '2025-01', total: 2 }]);
+  });
+
+  it('reports an empty range without rates', async () => {
+    const body = await get(`/api/analytics/decisions?${EMPTY_RANGE}`);
+    assert.equal(body.overall.total, 0);
+    assert.equal(body.overall.approvalRate, null);
+    assert.equal(body.overall.avgScore, null);
+    assert.deepEqual([body.periods, body.byPolicy], [[], []]);
+  });
+});
+
+describe('score analytics', () => {
+  const bucketsWithScores = (distribution) => distribution.histogram.filter((bucket) => bucket.count)
+    .map(({ from, to, count }) => [from, to, count]);
+
+  it('describes and buckets scores by language', async () => {
+    const { distributions } = await get(`/api/analytics/scores?${RANGE}&groupBy=language`);
+    assert.deepEqual(distributions.map(({ group, count, avg, median, p90, min, max }) => ({ group, count, avg, median, p90, min, max })), [
+      { group: 'en', count: 2, avg: 500, median: 300, p90: 700, min: 300, max: 700 },
+      { group: 'hi', count: 1, avg: 900, median: 900, p90: 900, min: 900, max: 900 },
+      { group: 'unknown', count: 1, avg: 550, median: 550, p90: 550, min: 550, max: 550 },
+    ]);
+    assert.ok(distributions.every((distribution) => distribution.histogram.length === 12));
+    assert.deepEqual(bucketsWithScores(distributions[0]), [[300, 350, 1], [700, 750, 1]]);
+    // The top score falls into the last bucket.
+    assert.deepEqual(bucketsWithScores(distributions[1]), [[850, 900, 1]]);
+    assert.deepEqual(bucketsWithScores(distributions[2]), [[550, 600, 1]]);
+  });
+
+  it('groups by gender and age band', async () => {
+    const byGender = await get(`/api/analytics/scores?${RANGE}&groupBy=gender`);
+    assert.deepEqual(byGender.distributions.map(({ group, count }) => [group, count]), [['female', 3], ['male', 1]]);
+    const byAge = await get(`/api/analytics/scores?${RANGE}&groupBy=ageBand`);
+    assert.deepEqual(byAge.distributions.map(({ group, count }) => [group, count]), [['26-35', 2], ['46-60', 1], ['60+', 1]]);
+  });
+
+  it('returns no distributions for an empty range', async () => {
+    assert.deepEqual((await get(`/api/analytics/scores?${EMPTY_RANGE}`)).distributions, []);
+  });
+});
+
+describe('turnaround analytics', () => {
+  it('measures hours to the first final decision and to document uploads', async () => {
+    const body = await get(`/api/analytics/turnaround?${RANGE}`);
+    assert.deepEqual(body.decisions, {
+      all: { count: 3, avg: 9.7, median: 5, p90: 24 },
+      automatic: { count: 1, avg: 0, median: 0, p90: 0 },
+      manual: { count: 2, avg: 14.5, median: 5, p90: 24 },
+      undecided: 1,
+    });
+    assert.deepEqual(body.documentRequests, {
+      requestedItems: 3,
+      hoursToUpload: { count: 1, avg: 2, median: 2, p90: 2 },
+      outstanding: 2,
+      overdue: 1,
+    });
+  });
+
+  it('reports zero counts for an empty range', async () => {
+    const body = await get(`/api/analytics/turnaround?${EMPTY_RANGE}`);
+    const none = { count: 0, avg: null, median: null, p90: null };
+    assert.deepEqual(body.decisions, { all: none, automatic: none, manual: none, undecided: 0 });
+    assert.deepEqual(body.documentRequests, { requestedItems: 0, hoursToUpload: none, outstanding: 0, overdue: 0 });
+  });
+});
+
+describe('analytics date range', () => {
+  const routes = ['/api/analytics/decisions', '/api/analytics/scores', '/api/analytics/turnaround', '/api/analytics/abandonment'];
+
+  it('refuses ranges longer than a year', async () => {
+    for (const route of routes) {
+      const response = await api.request('GET', `${route}?from=2024-01-01&to=2025-06-01`, { token: admin.accessToken });
+      assert.equal(response.status, 400, route);
+      assert.deepEqual(response.body.details, [{ field: 'query.from', message: 'must be at most 366 days before query.to.' }]);
+    }
+  });
+
+  it('refuses a range that ends before it starts', async () => {
+    const response = await api.request('GET', '/api/analytics/decisions?from=2025-06-01&to=2025-05-01', { token: admin.accessToken });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'query.from', message: 'must not be after query.to.' }]);
+  });
+
+  it('caps a range given only by its start date', async () => {
+    const from = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const response = await api.request('GET', `/api/analytics/scores?from=${from}`, { token: admin.accessToken });
+    assert.equal(response.status, 400);
+  });
+
+  it('accepts a full-year range', async () => {
+    const response = await api.request('GET', '/api/analytics/decisions?from=2025-01-01&to=2025-12-31&interval=month', { token: admin.accessToken });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.overall.total, 4);
+  });
+});
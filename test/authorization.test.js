@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, PASSWORD } = require('./helpers/server');
+
+const PDF_BYTES = Buffer.from('%PDF-1.4\n%test document\n');
+
+let api;
+let customerA;
+let customerB;
+let bankUser;
+let assessmentA;
+let assessmentB;
+let documentB;
+
+const createAssessment = (customerId) => api.prisma.assessment.create({
+  data: { customerId, score: 650, status: 'Pending', answers: {}, breakdown: {} },
+});
+
+const uploadAs = (token, assessmentId) => {
+  const form = new FormData();
+  form.append('assessmentId', String(assessmentId));
+  form.append('docType', 'pan_card');
+  form.append('document', new Blob([PDF_BYTES], { type: 'application/pdf' }), 'pan.pdf');
+  return fetch(`${api.baseUrl}/api/documents/upload`, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body: form });
+};
+
+before(async () => {
+  api = await startServer();
+  customerA = await api.createCustomer();
+  customerB = await api.createCustomer();
+  bankUser = await api.createBankUser({ role: 'reviewer' });
+  assessmentA = await createAssessment(customerA.id);
+  assessmentB = await createAssessment(customerB.id);
+  const storageKey = `documents/${assessmentB.id}/statement.pdf`;
+  fs.mkdirSync(path.join(process.env.DOCUMENT_STORAGE_DIR, path.dirname(storageKey)), { recursive: true });
+  fs.writeFileSync(path.join(process.env.DOCUMENT_STORAGE_DIR, storageKey), PDF_BYTES);
+  documentB = await api.prisma.document.create({
+    data: { assessmentId: assessmentB.id, fileName: 'statement.pdf', originalName: 'statement.pdf', storageKey, mimeType: 'application/pdf', size: PDF_BYTES.length },
+  });
+});
+
+after(() => api.close());
+
+describe('cross-customer access', () => {
+  it('rejects requests without a valid access token', async () => {
+    assert.equal((await api.request('GET', `/api/customer/${customerB.id}/latest-assessment`)).status, 401);
+    assert.equal((await api.request('GET', `/api/customer/${customerB.id}/latest-assessment`, { token: 'not-a-token' })).status, 401);
+  });
+
+  it("forbids a customer from reading another customer's assessments", async () => {
+    const token = customerA.accessToken;
+    assert.equal((await api.request('GET', `/api/customer/${customerB.id}/latest-assessment`, { token })).status, 403);
+    assert.equal((await api.request('GET', `/api/customer/${customerB.id}/assessments`, { token })).status, 403);
+    assert.equal((await api.request('GET', `/api/customer/${customerB.id}/profile`, { token })).status, 403);
+    assert.equal((await api.request('GET', `/api/assessments/${assessmentB.id}/document-requests`, { token })).status, 403);
+    assert.equal((await api.request('GET', `/api/assessments/${assessmentA.id}/compare?with=${assessmentB.id}`, { token })).status, 403);
+
+    const own = await api.request('GET', `/api/customer/${customerA.id}/latest-assessment`, { token });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.assessment.id, assessmentA.id);
+  });
+
+  it("forbids a customer from reading or posting to another customer's messages", async () => {
+    const token = customerA.accessToken;
+    assert.equal((await api.request('GET', `/api/assessments/${assessmentB.id}/messages`, { token })).status, 403);
+    assert.equal((await api.request('POST', `/api/assessments/${assessmentB.id}/message`, { token, body: { text: 'hello' } })).status, 403);
+    assert.equal((await api.request('POST', `/api/assessments/${assessmentB.id}/messages/read`, { token, body: {} })).status, 403);
+    assert.equal(await api.prisma.message.count({ where: { assessmentId: assessmentB.id } }), 0);
+
+    assert.equal((await api.request('GET', `/api/assessments/${assessmentA.id}/messages`, { token })).status, 200);
+  });
+
+  it("forbids a customer from uploading to or downloading another customer's documents", async () => {
+    const upload = await uploadAs(customerA.accessToken, assessmentB.id);
+    assert.equal(upload.status, 403);
+    assert.equal(await api.prisma.document.count({ where: { assessmentId: assessmentB.id } }), 1);
+
+    const link = await api.request('POST', `/api/documents/${documentB.id}/link`, { token: customerA.accessToken });
+    assert.equal(link.status, 403);
+
+    // A link issued to B cannot be re-used under A's identity.
+    const issued = await api.request('POST', `/api/documents/${documentB.id}/link`, { token: customerB.accessToken });
+    assert.equal(issued.status, 201);
+    const forged = issued.body.url.replace(`customer%3A${customerB.id}`, `customer%3A${customerA.id}`);
+    assert.notEqual(forged, issued.body.url);
+    assert.equal((await api.request('GET', forged)).status, 403);
+
+    const download = await fetch(api.baseUrl + issued.body.url);
+    assert.equal(download.status, 200);
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), PDF_BYTES);
+
+    const log = await api.prisma.documentAccessLog.findMany({ where: { documentId: documentB.id }, orderBy: { id: 'asc' } });
+    assert.deepEqual(log.map((entry) => entry.action), ['denied', 'link_issued', 'denied', 'download']);
+  });
+
+  it('keeps listing, status changes and document requests to bank users', async () => {
+    const token = customerB.accessToken;
+    assert.equal((await api.request('GET', '/api/assessments', { token })).status, 403);
+    const status = await api.request('PATCH', `/api/assessments/${assessmentB.id}/status`, { token, body: { status: 'Approved', reason: 'self-approval' } });
+    assert.equal(status.status, 403);
+    const docs = await api.request('POST', `/api/assessments/${assessmentB.id}/request-docs`, { token, body: { docTypes: ['salary_slip'] } });
+    assert.equal(docs.status, 403);
+    assert.equal((await api.prisma.assessment.findUnique({ where: { id: assessmentB.id } })).status, 'Pending');
+    assert.equal(await api.prisma.documentRequest.count(), 0);
+
+    const list = await api.request('GET', '/api/assessments', { token: bankUser.accessToken });
+    assert.equal(list.status, 200);
+    const bankDocs = await api.request('POST', `/api/assessments/${assessmentB.id}/request-docs`, {
+      token: bankUser.accessToken,
+      body: { docTypes: ['salary_slip'] },
+      headers: { 'Accept-Language': 'hi' },
+    });
+    assert.equal(bankDocs.status, 201);
+    assert.equal(bankDocs.body.message, 'दस्तावेज़ अनुरोध सफलतापूर्वक भेज दिया गया।');
+  });
+});
+
+describe('sessions', () => {
+  it('rotates refresh tokens and treats a replayed one as a leak', async () => {
+    const customer = await api.createCustomer();
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: customer.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.accessToken);
+    assert.notEqual(refreshed.body.refreshToken, customer.refreshToken);
+    assert.equal((await api.request('GET', `/api/customer/${customer.id}/profile`, { token: refreshed.body.accessToken })).status, 200);
+
+    // Re-using the old token revokes every session, including the one it was rotated into.
+    const replayed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: customer.refreshToken } });
+    assert.equal(replayed.status, 401);
+    const afterReplay = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+    assert.equal(afterReplay.status, 401);
+  });
+
+  it('revokes the refresh token on logout', async () => {
+    const customer = await api.createCustomer();
+    const logout = await api.request('POST', '/api/auth/logout', { token: customer.accessToken, body: { refreshToken: customer.refreshToken } });
+    assert.equal(logout.status, 200);
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: customer.refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it('revokes every session with all: true', async () => {
+    const customer = await api.createCustomer();
+    const second = await api.request('POST', '/api/login', { body: { email: customer.email, password: PASSWORD } });
+    assert.equal(second.status, 200);
+    const logout = await api.request('POST', '/api/auth/logout', { token: customer.accessToken, body: { all: true } });
+    assert.equal(logout.status, 200);
+    for (const refreshToken of [customer.refreshToken, second.body.refreshToken]) {
+      assert.equal((await api.request('POST', '/api/auth/refresh', { body: { refreshToken } })).status, 401);
+    }
+  });
+
+  it('does not let a bank user refresh after being disabled', async () => {
+    const staff = await api.createBankUser({ role: 'reviewer' });
+    await api.prisma.bankUser.update({ where: { id: staff.id }, data: { active: false } });
+    const refreshed = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: staff.refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let api;
+let bankUser;
+let assessment;
+
+// A document whose file is not in storage, so every analysis attempt fails.
+const createMissingDocument = (name) => api.prisma.document.create({
+  data: { assessmentId: assessment.id, fileName: name, originalName: name, storageKey: `documents/${assessment.id}/${name}`, mimeType: 'application/pdf' },
+});
+
+const queueAnalysis = (documentId) => api.request('POST', `/api/documents/${documentId}/analysis`, { token: bankUser.accessToken });
+
+// The queue runs in the background after a document is queued; wait until it has let go of the row.
+const settledAnalysis = async (documentId) => {
+  for (let i = 0; i < 100; i++) {
+    const analysis = await api.prisma.documentAnalysis.findUnique({ where: { documentId } });
+    if (analysis.attempts > 0 && analysis.status !== 'processing') return analysis;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Analysis of document ${documentId} did not finish.`);
+};
+
+before(async () => {
+  api = await startServer();
+  bankUser = await api.createBankUser({ role: 'reviewer' });
+  const customer = await api.createCustomer();
+  assessment = await api.prisma.assessment.create({ data: { customerId: customer.id, score: 650, answers: {}, breakdown: {} } });
+});
+
+after(() => api.close());
+
+describe('document analysis retries', () => {
+  it('backs off after a failed attempt instead of retrying straight away', async () => {
+    const document = await createMissingDocument('first.pdf');
+    const queuedAt = Date.now();
+    assert.equal((await queueAnalysis(document.id)).status, 202);
+
+    const analysis = await settledAnalysis(document.id);
+    assert.equal(analysis.status, 'pending');
+    assert.equal(analysis.attempts, 1);
+    assert.equal(analysis.error, 'Document file is missing.');
+    // DOCUMENT_ANALYSIS_RETRY_BASE_MS defaults to a minute.
+    assert.ok(analysis.nextAttemptAt.getTime() >= queuedAt + 60000);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const document = await createMissingDocument('second.pdf');
+    await queueAnalysis(document.id);
+    await settledAnalysis(document.id);
+    await api.prisma.documentAnalysis.update({ where: { documentId: document.id }, data: { attempts: 2, nextAttemptAt: new Date() } });
+
+    // Queuing another document wakes the loop, which also picks up the one that is due again.
+    const other = await createMissingDocument('third.pdf');
+    await queueAnalysis(other.id);
+    await settledAnalysis(other.id);
+    const analysis = await api.prisma.documentAnalysis.findUnique({ where: { documentId: document.id } });
+    assert.equal(analysis.status, 'failed');
+    assert.equal(analysis.attempts, 3);
+  });
+
+  it('queues a new attempt straight away when a bank user asks for one', async () => {
+    const document = await createMissingDocument('fourth.pdf');
+    await queueAnalysis(document.id);
+    await settledAnalysis(document.id);
+    const requeued = await queueAnalysis(document.id);
+    assert.equal(requeued.status, 202);
+    assert.equal(requeued.body.analysis.attempts, 0);
+    assert.ok(new Date(requeued.body.analysis.nextAttemptAt).getTime() <= Date.now());
+  });
+});
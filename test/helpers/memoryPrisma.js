@@ -0,0 +1,445 @@
+// ------------------
+// IN-MEMORY PRISMA CLIENT
+// ------------------
+// A stand-in for PrismaClient so the API can be tested without a database. Models, defaults,
+// unique fields and relations are read from prisma/schema.prisma, so `include`, `select`,
+// `_count`, relation filters and nested `create`/`connect` work like the real client for the
+// queries server.js makes. Raw SQL is not interpreted: $queryRaw resolves to [] and $executeRaw to 0.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'prisma', 'schema.prisma');
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1);
+
+const parseDefault = (attributes, type) => {
+  const match = attributes.match(/@default\((.*?)\)(?:\s|$)/);
+  if (!match) return undefined;
+  const raw = match[1];
+  if (raw === 'autoincrement()') return { autoincrement: true };
+  if (raw === 'uuid()') return { generate: () => crypto.randomUUID() };
+  if (raw === 'now()') return { generate: () => new Date() };
+  if (raw.startsWith('"')) {
+    const value = JSON.parse(raw);
+    return { value: type === 'Json' ? JSON.parse(value) : value };
+  }
+  if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+  return { value: Number(raw) };
+};
+
+// Returns { [modelName]: { name, delegate, fields: { [field]: {...} }, compoundIds: [[...]] } }.
+const parseSchema = (source) => {
+  const models = {};
+  for (const [, name, body] of source.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+    const model = { name, delegate: lowerFirst(name), fields: {}, compoundIds: [] };
+    for (const line of body.split('\n').map((l) => l.replace(/\/\/.*$/, '').trim()).filter(Boolean)) {
+      const compound = line.match(/^@@(?:id|unique)\(\[([^\]]+)\]/);
+      if (compound) {
+        model.compoundIds.push(compound[1].split(',').map((f) => f.trim()));
+        continue;
+      }
+      if (line.startsWith('@@')) continue;
+      const [, fieldName, rawType, attributes = ''] = line.match(/^(\w+)\s+(\S+)\s*(.*)$/);
+      const type = rawType.replace(/[[\]?]/g, '');
+      const relation = attributes.match(/@relation\(([^)]*)\)/);
+      const relationName = (relation && (relation[1].match(/^\s*"([^"]+)"/) || [])[1]) || undefined;
+      model.fields[fieldName] = {
+        name: fieldName,
+        type,
+        isList: rawType.endsWith('[]'),
+        isId: attributes.includes('@id'),
+        isUnique: attributes.includes('@id') || attributes.includes('@unique'),
+        isUpdatedAt: attributes.includes('@updatedAt'),
+        default: parseDefault(attributes, type),
+        relationName,
+        from: relation && (relation[1].match(/fields:\s*\[([^\]]+)\]/) || [])[1],
+        to: relation && (relation[1].match(/references:\s*\[([^\]]+)\]/) || [])[1],
+      };
+    }
+    models[name] = model;
+  }
+  // Resolve relations: each relation field gets { target, local, foreign } so that related rows are
+  // those where target[foreign[i]] === row[local[i]].
+  for (const model of Object.values(models)) {
+    for (const field of Object.values(model.fields)) {
+      if (!models[field.type]) continue;
+      const target = models[field.type];
+      if (field.from) {
+        field.relation = { target: target.name, local: field.from.split(',').map((f) => f.trim()), foreign: field.to.split(',').map((f) => f.trim()) };
+        continue;
+      }
+      const back = Object.values(target.fields).find((f) => f.type === model.name && f.from && f.relationName === field.relationName && f !== field);
+      if (!back) throw new Error(`memoryPrisma: no back relation for ${model.name}.${field.name}.`);
+      field.relation = { target: target.name, local: back.to.split(',').map((f) => f.trim()), foreign: back.from.split(',').map((f) => f.trim()) };
+    }
+  }
+  return models;
+};
+
+const knownError = (code, message) => Object.assign(new Error(message), { code, name: 'PrismaClientKnownRequestError' });
+
+const clone = (value) => structuredClone(value);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : a === b);
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const createMemoryPrisma = ({ schema = fs.readFileSync(SCHEMA_PATH, 'utf8') } = {}) => {
+  const models = parseSchema(schema);
+  const tables = {};
+  const sequences = {};
+  const rowsOf = (modelName) => (tables[modelName] = tables[modelName] || []);
+
+  const relatedRows = (model, row, field) => {
+    const { target, local, foreign } = field.relation;
+    return rowsOf(target).filter((other) => local.every((key, i) => row[key] !== null && row[key] !== undefined && sameValue(other[foreign[i]], row[key])));
+  };
+
+  const matchScalar = (value, filter) => {
+    if (!isPlainObject(filter)) return filter === null ? value === null || value === undefined : sameValue(value, filter);
+    const insensitive = filter.mode === 'insensitive';
+    const text = (v) => (insensitive ? String(v).toLowerCase() : String(v));
+    return Object.entries(filter).every(([op, operand]) => {
+      if (operand === undefined || op === 'mode') return true;
+      switch (op) {
+        case 'equals': return matchScalar(value, operand);
+        case 'not': return isPlainObject(operand) ? !matchScalar(value, operand) : !matchScalar(value, operand);
+        case 'in': return operand.some((o) => sameValue(value, o));
+        case 'notIn': return !operand.some((o) => sameValue(value, o));
+        case 'lt': return value !== null && value !== undefined && value < operand;
+        case 'lte': return value !== null && value !== undefined && value <= operand;
+        case 'gt': return value !== null && value !== undefined && value > operand;
+        case 'gte': return value !== null && value !== undefined && value >= operand;
+        case 'contains': return value !== null && value !== undefined && text(value).includes(text(operand));
+        case 'startsWith': return value !== null && value !== undefined && text(value).startsWith(text(operand));
+        case 'endsWith': return value !== null && value !== undefined && text(value).endsWith(text(operand));
+        case 'has': return Array.isArray(value) && value.includes(operand);
+        default: throw new Error(`memoryPrisma: unsupported filter "${op}".`);
+      }
+    });
+  };
+
+  const matches = (model, row, where) => {
+    if (!where) return true;
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === 'AND') return [].concat(filter).every((w) => matches(model, row, w));
+      if (key === 'OR') return filter.some((w) => matches(model, row, w));
+      if (key === 'NOT') return ![].concat(filter).some((w) => matches(model, row, w));
+      const field = model.fields[key];
+      if (!field) {
+        // Compound unique input, e.g. { assessmentId_principalType_principalId: { ... } }.
+        if (isPlainObject(filter)) return matches(model, row, filter);
+        throw new Error(`memoryPrisma: unknown field ${model.name}.${key}.`);
+      }
+      if (!field.relation) return matchScalar(row[key], filter);
+      const target = models[field.relation.target];
+      const related = relatedRows(model, row, field);
+      if (field.isList) {
+        if (filter.some) return related.some((r) => matches(target, r, filter.some));
+        if (filter.none) return !related.some((r) => matches(target, r, filter.none));
+        if (filter.every) return related.every((r) => matches(target, r, filter.every));
+        return true;
+      }
+      if (filter === null) return related.length === 0;
+      const { is, isNot, ...rest } = filter;
+      if (isNot !== undefined) return !(related[0] && matches(target, related[0], isNot));
+      return Boolean(related[0]) && matches(target, related[0], is || rest);
+    });
+  };
+
+  const sortRows = (rows, orderBy) => {
+    const orders = [].concat(orderBy || []);
+    if (!orders.length) return rows;
+    return [...rows].sort((a, b) => {
+      for (const order of orders) {
+        const [key, direction] = Object.entries(order)[0];
+        const dir = typeof direction === 'object' ? direction.sort : direction;
+        const result = compare(a[key], b[key]);
+        if (result) return dir === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  const applyWindow = (rows, { skip, take, cursor } = {}, model) => {
+    let list = rows;
+    if (cursor) {
+      const index = list.findIndex((r) => matches(model, r, cursor));
+      list = index === -1 ? [] : list.slice(index);
+    }
+    if (skip) list = list.slice(skip);
+    if (take !== undefined) list = take < 0 ? list.slice(take) : list.slice(0, take);
+    return list;
+  };
+
+  // Shapes a stored row the way the client returns it for the given select/include.
+  const project = (model, row, { select, include } = {}) => {
+    const out = {};
+    const scalars = Object.values(model.fields).filter((f) => !f.relation);
+    if (select) {
+      for (const [key, value] of Object.entries(select)) {
+        if (!value) continue;
+        if (key === '_count') out._count = countRelations(model, row, value);
+        else if (model.fields[key] && model.fields[key].relation) out[key] = resolveRelation(model, row, model.fields[key], value);
+        else out[key] = clone(row[key] === undefined ? null : row[key]);
+      }
+      return out;
+    }
+    for (const field of scalars) out[field.name] = clone(row[field.name] === undefined ? null : row[field.name]);
+    for (const [key, value] of Object.entries(include || {})) {
+      if (!value) continue;
+      if (key === '_count') out._count = countRelations(model, row, value);
+      else out[key] = resolveRelation(model, row, model.fields[key], value);
+    }
+    return out;
+  };
+
+  const resolveRelation = (model, row, field, args) => {
+    const target = models[field.relation.target];
+    const options = args === true ? {} : args;
+    let related = relatedRows(model, row, field);
+    if (!field.isList) return related[0] ? project(target, related[0], options) : null;
+    related = related.filter((r) => matches(target, r, options.where));
+    related = applyWindow(sortRows(related, options.orderBy), options, target);
+    return related.map((r) => project(target, r, options));
+  };
+
+  const countRelations = (model, row, args) => {
+    const fields = args === true
+      ? Object.values(model.fields).filter((f) => f.relation && f.isList).map((f) => [f.name, true])
+      : Object.entries(args.select || {});
+    const counts = {};
+    for (const [name, value] of fields) {
+      if (!value) continue;
+      const field = model.fields[name];
+      const where = value === true ? undefined : value.where;
+      counts[name] = relatedRows(model, row, field).filter((r) => matches(models[field.relation.target], r, where)).length;
+    }
+    return counts;
+  };
+
+  const checkUnique = (model, row, ignore) => {
+    const keys = Object.values(model.fields).filter((f) => f.isUnique && !f.relation).map((f) => [f.name]).concat(model.compoundIds);
+    for (const key of keys) {
+      if (key.some((k) => row[k] === null || row[k] === undefined)) continue;
+      const clash = rowsOf(model.name).find((other) => other !== ignore && key.every((k) => sameValue(other[k], row[k])));
+      if (clash) throw knownError('P2002', `Unique constraint failed on the fields: (${key.join(', ')})`);
+    }
+  };
+
+  const applyScalarUpdate = (current, value) => {
+    if (!isPlainObject(value) || value instanceof Date) return value;
+    if ('set' in value) return value.set;
+    if ('increment' in value) return (current || 0) + value.increment;
+    if ('decrement' in value) return (current || 0) - value.decrement;
+    if ('multiply' in value) return (current || 0) * value.multiply;
+    if ('divide' in value) return (current || 0) / value.divide;
+    return value;
+  };
+
+  // Writes nested relation data (create / connect / createMany) after `row` exists.
+  const writeRelations = (model, row, relationData) => {
+    for (const [key, value] of Object.entries(relationData)) {
+      const field = model.fields[key];
+      const target = models[field.relation.target];
+      const { local, foreign } = field.relation;
+      if (field.from) {
+        // To-one owned by this row: set the foreign key.
+        let other;
+        if (value.connect) other = rowsOf(target.name).find((r) => matches(target, r, value.connect));
+        if (value.create) other = insert(target, value.create);
+        if (value.disconnect) local.forEach((k) => { row[k] = null; });
+        if (other) local.forEach((k, i) => { row[k] = other[foreign[i]]; });
+        if ((value.connect || value.create) && !other) throw knownError('P2025', `No ${target.name} found to connect.`);
+        continue;
+      }
+      const link = (data) => ({ ...data, ...Object.fromEntries(foreign.map((k, i) => [k, row[local[i]]])) });
+      const creates = [].concat(value.create || [], (value.createMany && value.createMany.data) || []);
+      for (const data of creates) insert(target, link(data));
+      for (const where of [].concat(value.connect || [])) {
+        const other = rowsOf(target.name).find((r) => matches(target, r, where));
+        if (!other) throw knownError('P2025', `No ${target.name} found to connect.`);
+        Object.assign(other, link({}));
+      }
+    }
+  };
+
+  const splitData = (model, data) => {
+    const scalars = {};
+    const relations = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const field = model.fields[key];
+      if (field && field.relation) relations[key] = value;
+      else scalars[key] = value;
+    }
+    return { scalars, relations };
+  };
+
+  const insert = (model, data) => {
+    const { scalars, relations } = splitData(model, data);
+    const row = {};
+    for (const field of Object.values(model.fields)) {
+      if (field.relation) continue;
+      if (scalars[field.name] !== undefined) row[field.name] = clone(scalars[field.name]);
+      else if (field.default && field.default.autoincrement) {
+        sequences[model.name] = Math.max(sequences[model.name] || 0, ...rowsOf(model.name).map((r) => r[field.name] || 0)) + 1;
+        row[field.name] = sequences[model.name];
+      } else if (field.default && field.default.generate) row[field.name] = field.default.generate();
+      else if (field.default) row[field.name] = clone(field.default.value);
+      else if (field.isUpdatedAt) row[field.name] = new Date();
+      else row[field.name] = field.isList ? [] : null;
+    }
+    // Owning relations (connect/create) must resolve before the row is checked and stored.
+    const owned = Object.fromEntries(Object.entries(relations).filter(([key]) => model.fields[key].from));
+    const children = Object.fromEntries(Object.entries(relations).filter(([key]) => !model.fields[key].from));
+    writeRelations(model, row, owned);
+    checkUnique(model, row);
+    rowsOf(model.name).push(row);
+    writeRelations(model, row, children);
+    return row;
+  };
+
+  const modify = (model, row, data) => {
+    const { scalars, relations } = splitData(model, data);
+    const next = { ...row };
+    for (const [key, value] of Object.entries(scalars)) {
+      const isJson = model.fields[key] && model.fields[key].type === 'Json';
+      next[key] = clone(isJson ? value : applyScalarUpdate(row[key], value));
+    }
+    for (const field of Object.values(model.fields)) if (field.isUpdatedAt && !(field.name in scalars)) next[field.name] = new Date();
+    writeRelations(model, next, relations);
+    checkUnique(model, next, row);
+    Object.assign(row, next);
+    return row;
+  };
+
+  const findRows = (model, args = {}) => {
+    const rows = rowsOf(model.name).filter((r) => matches(model, r, args.where));
+    return applyWindow(sortRows(rows, args.orderBy), args, model);
+  };
+
+  const numericFields = (model, rows, spec, reducer) => {
+    const out = {};
+    for (const [key, enabled] of Object.entries(spec || {})) {
+      if (!enabled) continue;
+      const values = rows.map((r) => r[key]).filter((v) => v !== null && v !== undefined);
+      out[key] = values.length ? reducer(values) : null;
+    }
+    return out;
+  };
+
+  const aggregateRows = (model, rows, args) => {
+    const result = {};
+    if (args._count) {
+      result._count = args._count === true
+        ? rows.length
+        : Object.fromEntries(Object.keys(args._count).map((k) => [k, k === '_all' ? rows.length : rows.filter((r) => r[k] !== null && r[k] !== undefined).length]));
+    }
+    if (args._avg) result._avg = numericFields(model, rows, args._avg, (v) => v.reduce((a, b) => a + b, 0) / v.length);
+    if (args._sum) result._sum = numericFields(model, rows, args._sum, (v) => v.reduce((a, b) => a + b, 0));
+    if (args._min) result._min = numericFields(model, rows, args._min, (v) => v.reduce((a, b) => (compare(a, b) <= 0 ? a : b)));
+    if (args._max) result._max = numericFields(model, rows, args._max, (v) => v.reduce((a, b) => (compare(a, b) >= 0 ? a : b)));
+    return result;
+  };
+
+  const delegate = (model) => ({
+    findUnique: async (args) => {
+      const [row] = findRows(model, { where: args.where });
+      return row ? project(model, row, args) : null;
+    },
+    findUniqueOrThrow: async (args) => {
+      const [row] = findRows(model, { where: args.where });
+      if (!row) throw knownError('P2025', `No ${model.name} found.`);
+      return project(model, row, args);
+    },
+    findFirst: async (args = {}) => {
+      const [row] = findRows(model, { ...args, take: 1 });
+      return row ? project(model, row, args) : null;
+    },
+    findMany: async (args = {}) => findRows(model, args).map((row) => project(model, row, args)),
+    count: async (args = {}) => findRows(model, args).length,
+    create: async (args) => project(model, insert(model, args.data), args),
+    createMany: async ({ data, skipDuplicates }) => {
+      let count = 0;
+      for (const item of [].concat(data)) {
+        try {
+          insert(model, item);
+          count++;
+        } catch (error) {
+          if (!(skipDuplicates && error.code === 'P2002')) throw error;
+        }
+      }
+      return { count };
+    },
+    update: async (args) => {
+      const [row] = findRows(model, { where: args.where });
+      if (!row) throw knownError('P2025', `No ${model.name} found to update.`);
+      return project(model, modify(model, row, args.data), args);
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = findRows(model, { where });
+      rows.forEach((row) => modify(model, row, data));
+      return { count: rows.length };
+    },
+    upsert: async (args) => {
+      const [row] = findRows(model, { where: args.where });
+      return project(model, row ? modify(model, row, args.update) : insert(model, args.create), args);
+    },
+    delete: async (args) => {
+      const [row] = findRows(model, { where: args.where });
+      if (!row) throw knownError('P2025', `No ${model.name} found to delete.`);
+      tables[model.name] = rowsOf(model.name).filter((r) => r !== row);
+      return project(model, row, args);
+    },
+    deleteMany: async ({ where } = {}) => {
+      const rows = findRows(model, { where });
+      tables[model.name] = rowsOf(model.name).filter((r) => !rows.includes(r));
+      return { count: rows.length };
+    },
+    aggregate: async (args = {}) => aggregateRows(model, findRows(model, args), args),
+    groupBy: async (args) => {
+      const groups = new Map();
+      for (const row of findRows(model, { where: args.where })) {
+        const key = JSON.stringify(args.by.map((k) => row[k]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      const result = [...groups.values()].map((rows) => ({
+        ...Object.fromEntries(args.by.map((k) => [k, clone(rows[0][k])])),
+        ...aggregateRows(model, rows, args),
+      }));
+      return applyWindow(sortRows(result, args.orderBy), args, model);
+    },
+  });
+
+  const client = {
+    $connect: async () => {},
+    $disconnect: async () => {},
+    $queryRaw: async () => [],
+    $queryRawUnsafe: async () => [],
+    $executeRaw: async () => 0,
+    $executeRawUnsafe: async () => 0,
+    // Interactive transactions run against the same tables; writes are not rolled back on error.
+    $transaction: async (arg) => (typeof arg === 'function' ? arg(client) : Promise.all(arg)),
+    // Test helpers (not part of the Prisma API).
+    $tables: tables,
+    $reset: () => {
+      for (const name of Object.keys(tables)) delete tables[name];
+      for (const name of Object.keys(sequences)) delete sequences[name];
+    },
+  };
+  for (const model of Object.values(models)) client[model.delegate] = delegate(model);
+  return client;
+};
+
+module.exports = { createMemoryPrisma, parseSchema };
@@ -0,0 +1,35 @@
+// ------------------
+// TEST POSTGRES
+// ------------------
+// An in-process Postgres (PGlite) with every migration in prisma/migrations applied, for the raw SQL
+// the in-memory client does not interpret. routeRawQueries() sends a client's $queryRaw and
+// $executeRaw there; everything else keeps using the in-memory tables.
+const fs = require('fs');
+const path = require('path');
+const { Prisma } = require('@prisma/client');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'prisma', 'migrations');
+
+const createTestPostgres = async () => {
+  const { PGlite } = await import('@electric-sql/pglite');
+  const db = new PGlite();
+  const migrations = fs.readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+  for (const name of migrations) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name, 'migration.sql'), 'utf8'));
+  }
+  return db;
+};
+
+const routeRawQueries = (prisma, db) => {
+  const run = (strings, values) => {
+    const query = Prisma.sql(strings, ...values);
+    return db.query(query.text, query.values);
+  };
+  prisma.$queryRaw = async (strings, ...values) => (await run(strings, values)).rows;
+  prisma.$executeRaw = async (strings, ...values) => (await run(strings, values)).affectedRows;
+};
+
+module.exports = { createTestPostgres, routeRawQueries };
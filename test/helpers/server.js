@@ -0,0 +1,116 @@
+// ------------------
+// TEST SERVER
+// ------------------
+// Loads server.js with the in-memory Prisma client (see memoryPrisma.js), temporary storage and
+// outbox directories and the mock LLM provider, and listens on a random local port. Each test file
+// runs in its own process, so it gets a fresh app and database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const bcrypt = require('bcryptjs');
+const { createMemoryPrisma } = require('./memoryPrisma');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credit-api-test-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+// OCR never runs in the tests, but the server refuses to start without local language data.
+const ocrLangDir = path.join(tempDir, 'tessdata');
+fs.mkdirSync(ocrLangDir);
+fs.writeFileSync(path.join(ocrLangDir, 'eng.traineddata'), '');
+const TEST_ENV = {
+  JWT_SECRET: 'test-secret',
+  PII_ENCRYPTION_KEY: '11'.repeat(32),
+  PII_INDEX_KEY: '22'.repeat(32),
+  DOCUMENT_STORAGE_DIR: path.join(tempDir, 'documents'),
+  NOTIFY_OUTBOX_DIR: path.join(tempDir, 'outbox'),
+  NOTIFY_EMAIL_TRANSPORT: 'file',
+  NOTIFY_SMS_TRANSPORT: 'file',
+  LLM_PROVIDER: 'mock',
+  LLM_RETRY_BASE_MS: '1',
+  OCR_LANG_PATH: ocrLangDir,
+};
+for (const [key, value] of Object.entries(TEST_ENV)) {
+  if (process.env[key] === undefined) process.env[key] = value;
+}
+
+// Makes `require('@prisma/client')` (in server.js and the scripts) return the in-memory client.
+// The Prisma namespace (Prisma.sql and friends) is the real one.
+const { Prisma } = require('@prisma/client');
+const prisma = createMemoryPrisma();
+const prismaClientPath = require.resolve('@prisma/client');
+const prismaModule = new Module(prismaClientPath);
+prismaModule.exports = { PrismaClient: function PrismaClient() { return prisma; }, Prisma };
+prismaModule.loaded = true;
+require.cache[prismaClientPath] = prismaModule;
+
+const PASSWORD = 'correct horse 1';
+
+const startServer = async () => {
+  const app = require('../../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: response.status, body: json, headers: response.headers };
+  };
+
+  let customerCount = 0;
+  // Registers a customer through the API and logs them in; returns { id, email, accessToken, refreshToken }.
+  const createCustomer = async (overrides = {}) => {
+    customerCount++;
+    const suffix = String(customerCount).padStart(4, '0');
+    const details = {
+      fname: 'Test',
+      lname: `Customer${suffix}`,
+      gender: 'female',
+      age: 30,
+      mobile: `98765${suffix}0`,
+      email: `customer${suffix}@example.com`,
+      pan: `ABCDE${suffix}F`,
+      accountNumber: `12345${suffix}00`,
+      password: PASSWORD,
+      ...overrides,
+    };
+    const registered = await request('POST', '/api/register', { body: details });
+    if (registered.status !== 201) throw new Error(`Registration failed: ${JSON.stringify(registered.body)}`);
+    const login = await request('POST', '/api/login', { body: { email: details.email, password: details.password } });
+    if (login.status !== 200) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+    return { id: registered.body.customer.id, email: details.email, accessToken: login.body.accessToken, refreshToken: login.body.refreshToken };
+  };
+
+  // Creates a bank user directly and logs them in; returns { id, accessToken, refreshToken }.
+  let bankUserCount = 0;
+  const createBankUser = async ({ role = 'reviewer', username = `${role}${++bankUserCount}` } = {}) => {
+    const bankUser = await prisma.bankUser.create({ data: { username, password: await bcrypt.hash(PASSWORD, 4), role } });
+    const login = await request('POST', '/api/bank-login', { body: { username, password: PASSWORD } });
+    if (login.status !== 200) throw new Error(`Bank login failed: ${JSON.stringify(login.body)}`);
+    return { id: bankUser.id, accessToken: login.body.accessToken, refreshToken: login.body.refreshToken };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { app, prisma, request, createCustomer, createBankUser, close, baseUrl };
+};
+
+module.exports = { startServer, prisma, tempDir, PASSWORD };
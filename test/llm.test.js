@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mock provider reads fixtures from LLM_FIXTURES_DIR and steps through each file's responses, so
+// every scenario below uses its own language variant (questions.hi.json, summary.te.json, ...).
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+process.env.LLM_FIXTURES_DIR = fixturesDir;
+process.on('exit', () => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+
+const { startServer } = require('./helpers/server');
+const { createLlmProvider, loadLlmConfig } = require('../llm');
+
+const validQuestions = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'llm', 'fixtures', 'questions.json'), 'utf8')).responses[0];
+const rateLimited = { error: { status: 429, message: 'Resource has been exhausted' } };
+const writeFixture = (name, responses) => fs.writeFileSync(path.join(fixturesDir, name), JSON.stringify({ responses }));
+
+writeFixture('questions.json', [validQuestions]);
+// First answer has option values outside 1.0/0.7/0.4/0.1, so it is sent back for repair.
+writeFixture('questions.hi.json', [
+  validQuestions.map((question) => ({ ...question, options: question.options.map((option) => ({ ...option, value: 5 })) })),
+  `Here you go:\n${JSON.stringify(validQuestions)}`,
+]);
+writeFixture('questions.te.json', [rateLimited]);
+writeFixture('summary.json', ['Stable income and regular savings; moderate risk.']);
+writeFixture('summary.hi.json', [rateLimited, rateLimited, 'Summary after the rate limit cleared.']);
+writeFixture('summary.te.json', [rateLimited]);
+
+let api;
+let customer;
+let bankUser;
+
+const aiMetrics = (task) => api.prisma.aiCallMetric.findMany({ where: { task }, orderBy: { id: 'asc' } });
+// AI call metrics are written without awaiting the response.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+before(async () => {
+  api = await startServer();
+  customer = await api.createCustomer();
+  bankUser = await api.createBankUser({ role: 'reviewer' });
+});
+
+after(() => api.close());
+
+describe('question generation with the mock provider', () => {
+  it('stores and serves valid generated questions as unreviewed', async () => {
+    const response = await api.request('POST', '/api/generate-questions', { token: customer.accessToken, body: { language: 'en' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-question-source'), 'ai');
+    assert.equal(response.body.length, validQuestions.length);
+    assert.ok(response.body.every((question) => question.reviewed === false));
+    assert.equal(await api.prisma.dynamicQuestion.count({ where: { language: 'en', status: 'unreviewed' } }), validQuestions.length);
+    await settle();
+    const [metric] = await aiMetrics('questions');
+    assert.deepEqual([metric.outcome, metric.attempts], ['valid', 1]);
+  });
+
+  it('sends an invalid response back to the model for repair', async () => {
+    const response = await api.request('POST', '/api/generate-questions', { token: customer.accessToken, body: { language: 'hi' } });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.every((question) => question.options.every((option) => [1, 0.7, 0.4, 0.1].includes(option.value))));
+    await settle();
+    const metric = (await aiMetrics('questions')).pop();
+    assert.deepEqual([metric.outcome, metric.attempts], ['repaired', 2]);
+  });
+
+  it('answers 429 when the model stays rate limited and the bank has no questions', async () => {
+    const response = await api.request('POST', '/api/generate-questions', { token: customer.accessToken, body: { language: 'te' } });
+    assert.equal(response.status, 429);
+    assert.equal(await api.prisma.dynamicQuestion.count({ where: { language: 'te' } }), 0);
+    await settle();
+    assert.equal((await aiMetrics('questions')).pop().outcome, 'failed');
+  });
+});
+
+describe('assessment summaries with the mock provider', () => {
+  const summarize = async (language) => {
+    const assessment = await api.prisma.assessment.create({
+      data: { customerId: customer.id, score: 700, language, answers: {}, breakdown: { income: 80 } },
+    });
+    return api.request('POST', `/api/assessments/${assessment.id}/summary`, { token: bankUser.accessToken });
+  };
+
+  it('stores a generated summary', async () => {
+    const response = await summarize('en');
+    assert.equal(response.status, 201);
+    assert.equal(response.body.summary.text, 'Stable income and regular savings; moderate risk.');
+    assert.equal(response.body.summary.model, 'mock:mock');
+  });
+
+  it('backs off and retries after a 429', async () => {
+    const response = await summarize('hi');
+    assert.equal(response.status, 201);
+    assert.equal(response.body.summary.text, 'Summary after the rate limit cleared.');
+  });
+
+  it('answers 429 once the retries are used up', async () => {
+    const response = await summarize('te');
+    assert.equal(response.status, 429);
+  });
+});
+
+describe('LLM provider retries', () => {
+  const providerFor = (name, responses, env = {}) => {
+    const dir = fs.mkdtempSync(path.join(fixturesDir, 'provider-'));
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ responses }));
+    return createLlmProvider(loadLlmConfig({ LLM_PROVIDER: 'mock', LLM_FIXTURES_DIR: dir, LLM_RETRY_BASE_MS: '1', ...env }));
+  };
+
+  it('retries rate limits up to LLM_MAX_RETRIES times', async () => {
+    const llm = providerFor('retry', [rateLimited, rateLimited, 'ok']);
+    assert.equal(await llm.generateText('prompt', { task: 'retry' }), 'ok');
+
+    const impatient = providerFor('retry', [rateLimited, rateLimited, 'ok'], { LLM_MAX_RETRIES: '1' });
+    await assert.rejects(impatient.generateText('prompt', { task: 'retry' }), { status: 429 });
+  });
+
+  it('does not retry errors that will not go away', async () => {
+    const llm = providerFor('bad', [{ error: { status: 400, message: 'Bad request' } }, 'ok']);
+    await assert.rejects(llm.generateText('prompt', { task: 'bad' }), { status: 400 });
+  });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { createNotificationTransports, loadNotificationConfig } = require('../notifications');
+
+const configFor = (env) => loadNotificationConfig({ NOTIFY_OUTBOX_DIR: os.tmpdir(), ...env });
+
+describe('notification transports', () => {
+  it('defaults to the console transport outside production', () => {
+    const transports = createNotificationTransports(configFor({}));
+    assert.deepEqual([transports.email.name, transports.sms.name], ['console', 'console']);
+  });
+
+  it('refuses development transports in production', () => {
+    assert.throws(() => createNotificationTransports(configFor({ NODE_ENV: 'production' })), /"console" email transport is for development only/);
+    assert.throws(
+      () => createNotificationTransports(configFor({ NODE_ENV: 'production', NOTIFY_CHANNELS: 'sms', NOTIFY_SMS_TRANSPORT: 'file' })),
+      /"file" sms transport is for development only/,
+    );
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const ANSWERS = {
+  income_stability: 'salaried',
+  monthly_savings: '10_to_20_percent',
+  existing_loans: 'none',
+  bill_payments: 'mostly_on_time',
+  emergency_fund: 'three_months',
+};
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+describe('reapplication rules', () => {
+  const submit = (customer) => api.request('POST', '/api/assessment/submit', { token: customer.accessToken, body: { answers: ANSWERS } });
+
+  it('takes the per-customer lock before checking the rules', async () => {
+    const customer = await api.createCustomer();
+    // The in-memory client does not run SQL, so record the lock statement and the reads after it.
+    const calls = [];
+    const { $executeRaw, $transaction } = api.prisma;
+    api.prisma.$executeRaw = async (strings, ...values) => {
+      calls.push({ sql: strings.join('?'), values });
+      return 0;
+    };
+    api.prisma.$transaction = (arg) => {
+      calls.push({ transaction: true });
+      return $transaction(arg);
+    };
+    try {
+      assert.equal((await submit(customer)).status, 201);
+    } finally {
+      Object.assign(api.prisma, { $executeRaw, $transaction });
+    }
+    assert.deepEqual(calls, [
+      { transaction: true },
+      { sql: 'SELECT pg_advisory_xact_lock(?::int, ?::int)', values: [1, customer.id] },
+    ]);
+  });
+
+  it('lets only one of two concurrent submissions through', async () => {
+    const customer = await api.createCustomer();
+    // Emulate pg_advisory_xact_lock: a transaction that takes a held key waits until its holder finishes.
+    // The holder only goes on once both transactions have started, so their checks would overlap without it.
+    const locks = new Map();
+    let bothStarted;
+    const started = new Promise((resolve) => { bothStarted = resolve; });
+    let transactions = 0;
+    const { $transaction } = api.prisma;
+    api.prisma.$transaction = async (fn) => {
+      if (++transactions === 2) bothStarted();
+      let release = () => {};
+      const tx = {
+        ...api.prisma,
+        $executeRaw: async (strings, ...values) => {
+          const key = values.join(':');
+          const previous = locks.get(key) || Promise.resolve();
+          const released = new Promise((resolve) => { release = resolve; });
+          locks.set(key, previous.then(() => released));
+          await previous;
+          await started;
+          return 1;
+        },
+      };
+      try {
+        return await fn(tx);
+      } finally {
+        release();
+      }
+    };
+    let responses;
+    try {
+      // Both report a mismatching score, so whichever is first stays open in manual review.
+      responses = await Promise.all([1, 2].map(() => api.request('POST', '/api/assessment/submit', {
+        token: customer.accessToken,
+        body: { answers: ANSWERS, score: 900 },
+      })));
+    } finally {
+      api.prisma.$transaction = $transaction;
+    }
+    assert.deepEqual(responses.map((response) => response.status).sort(), [201, 409]);
+    assert.equal(responses.find((response) => response.status === 409).body.reasons[0].code, 'OPEN_ASSESSMENT_LIMIT');
+    assert.equal(await api.prisma.assessment.count({ where: { customerId: customer.id } }), 1);
+  });
+
+  it('refuses a second open assessment', async () => {
+    const customer = await api.createCustomer();
+    // A reported score that does not match sends the application to manual review, which keeps it open.
+    const first = await api.request('POST', '/api/assessment/submit', { token: customer.accessToken, body: { answers: ANSWERS, score: 900 } });
+    assert.equal(first.body.assessment.status, 'Manual Review');
+    const second = await submit(customer);
+    assert.equal(second.status, 409);
+    assert.equal(second.body.reasons[0].code, 'OPEN_ASSESSMENT_LIMIT');
+    assert.equal(await api.prisma.assessment.count({ where: { customerId: customer.id } }), 1);
+  });
+});
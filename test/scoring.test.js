@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const CORE_ANSWERS = {
+  income_stability: 'salaried',
+  monthly_savings: '10_to_20_percent',
+  existing_loans: 'none',
+  bill_payments: 'mostly_on_time',
+  emergency_fund: 'three_months',
+};
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+describe('server-side scoring', () => {
+  it('rejects a submission that leaves out core questions', async () => {
+    const customer = await api.createCustomer();
+    const response = await api.request('POST', '/api/assessment/submit', {
+      token: customer.accessToken,
+      body: { answers: { income_stability: 'salaried' }, score: 900 },
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.details.map((detail) => detail.field).sort(),
+      ['answers.bill_payments', 'answers.emergency_fund', 'answers.existing_loans', 'answers.monthly_savings'],
+    );
+    assert.ok(response.body.details.every((detail) => detail.message === 'is required.'));
+    assert.equal(await api.prisma.assessment.count({ where: { customerId: customer.id } }), 0);
+  });
+
+  it('scores a complete submission from the answers, not the reported score', async () => {
+    const customer = await api.createCustomer();
+    const response = await api.request('POST', '/api/assessment/submit', {
+      token: customer.accessToken,
+      body: { answers: CORE_ANSWERS, score: 900 },
+    });
+    assert.equal(response.status, 201);
+    // (3*1.0 + 2*0.7 + 2*1.0 + 2*0.7 + 1*0.7) / 10 = 0.85 -> 300 + 600 * 0.85
+    assert.equal(response.body.assessment.score, 810);
+    assert.equal(response.body.assessment.scoreMismatch, true);
+    assert.equal(response.body.assessment.status, 'Manual Review');
+  });
+
+  it('rejects answers that are not options of the question', async () => {
+    const customer = await api.createCustomer();
+    const response = await api.request('POST', '/api/assessment/submit', {
+      token: customer.accessToken,
+      body: { answers: { ...CORE_ANSWERS, income_stability: 'lottery' } },
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'answers.income_stability', message: 'is not a valid option for this question.' }]);
+  });
+});
+
+describe('dynamic question scoring', () => {
+  let approver;
+
+  const authorQuestion = (options) => api.request('POST', '/api/questions', {
+    token: approver.accessToken,
+    body: { question: 'How do you handle an unexpected bill?', options },
+  });
+  const OPTIONS = [{ text: 'Pay from savings', value: 1 }, { text: 'Borrow from family', value: 0.4 }];
+
+  before(async () => {
+    approver = await api.createBankUser({ role: 'senior_approver' });
+  });
+
+  it('only accepts option values allowed by the scoring model', async () => {
+    const response = await authorQuestion([{ text: 'Pay from savings', value: 10 }, { text: 'Borrow', value: 0.4 }]);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].field, 'options[0].value');
+  });
+
+  it('does not score unreviewed questions the customer was not served, or retired ones', async () => {
+    const created = await authorQuestion(OPTIONS);
+    assert.equal(created.status, 201);
+    const questionId = created.body.question.id;
+    const customer = await api.createCustomer();
+    const submit = () => api.request('POST', '/api/assessment/submit', {
+      token: customer.accessToken,
+      body: { answers: { ...CORE_ANSWERS, [questionId]: 1 } },
+    });
+
+    const unreviewed = await submit();
+    assert.equal(unreviewed.status, 400);
+    assert.deepEqual(unreviewed.body.details, [{ field: `answers.${questionId}`, message: 'refers to an unknown question.' }]);
+
+    assert.equal((await api.request('POST', `/api/questions/${questionId}/approve`, { token: approver.accessToken })).status, 200);
+    const approved = await submit();
+    assert.equal(approved.status, 201);
+    assert.equal(approved.body.assessment.breakdown.behaviour, 100);
+
+    assert.equal((await api.request('POST', `/api/questions/${questionId}/retire`, { token: approver.accessToken })).status, 200);
+    // Withdraw the open assessment so the reapplication rules allow another submission.
+    await api.prisma.assessment.update({ where: { id: approved.body.assessment.id }, data: { status: 'Withdrawn' } });
+    const retired = await submit();
+    assert.equal(retired.status, 400);
+    assert.deepEqual(retired.body.details, unreviewed.body.details);
+  });
+
+  it('scores against the stored version, not later changes to the question row', async () => {
+    const created = await authorQuestion(OPTIONS);
+    const questionId = created.body.question.id;
+    await api.request('POST', `/api/questions/${questionId}/approve`, { token: approver.accessToken });
+    await api.prisma.dynamicQuestion.update({ where: { id: questionId }, data: { options: [{ text: 'Anything', value: 0.7 }] } });
+
+    const customer = await api.createCustomer();
+    const response = await api.request('POST', '/api/assessment/submit', {
+      token: customer.accessToken,
+      body: { answers: { ...CORE_ANSWERS, [questionId]: 0.7 } },
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].message, 'is not a valid option for this question.');
+  });
+
+  it('scores answers to the questions generate-questions served to the customer', async () => {
+    const customer = await api.createCustomer();
+    const generated = await api.request('POST', '/api/generate-questions', { token: customer.accessToken, body: { language: 'en' } });
+    assert.equal(generated.status, 200);
+    assert.ok(generated.body.length > 0 && generated.body.every((question) => question.reviewed === false));
+
+    const answers = { ...CORE_ANSWERS };
+    for (const question of generated.body) answers[question.id] = question.options[question.options.length - 1].value;
+    const submitted = await api.request('POST', '/api/assessment/submit', { token: customer.accessToken, body: { answers } });
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.assessment.breakdown.behaviour, 10);
+
+    // The questions were served to that customer only.
+    const other = await api.createCustomer();
+    const borrowed = await api.request('POST', '/api/assessment/submit', { token: other.accessToken, body: { answers } });
+    assert.equal(borrowed.status, 400);
+    assert.equal(borrowed.body.details[0].message, 'refers to an unknown question.');
+  });
+
+  it('scores unreviewed questions that were served for the draft', async () => {
+    const customer = await api.createCustomer();
+    const started = await api.request('POST', '/api/assessment/drafts', { token: customer.accessToken, body: { language: 'en' } });
+    assert.equal(started.status, 201);
+    const { id, questionIds } = started.body.draft;
+    const served = await api.prisma.dynamicQuestion.findMany({ where: { id: { in: questionIds } } });
+    assert.ok(served.length > 0 && served.every((question) => question.status === 'unreviewed'));
+
+    const answers = { ...CORE_ANSWERS };
+    for (const questionId of questionIds) answers[questionId] = 0.4;
+    assert.equal((await api.request('PATCH', `/api/assessment/drafts/${id}`, { token: customer.accessToken, body: { answers } })).status, 200);
+    const submitted = await api.request('POST', `/api/assessment/drafts/${id}/submit`, { token: customer.accessToken, body: {} });
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.assessment.breakdown.behaviour, 40);
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const s3 = require('@aws-sdk/client-s3');
+const { prisma, tempDir } = require('./helpers/server');
+const { createDocumentStorage, loadStorageConfig } = require('../storage');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+// The same put/get/exists/list/delete round trip for every backend; keys live under a unique prefix.
+const roundTrip = (createStorage) => {
+  const prefix = `test/${crypto.randomUUID()}/`;
+  const body = crypto.randomBytes(64 * 1024);
+  let storage;
+
+  before(() => {
+    storage = createStorage();
+  });
+
+  after(async () => {
+    for (const object of await storage.list(prefix)) await storage.delete(object.key);
+  });
+
+  it('reads back exactly what was written', async () => {
+    const key = `${prefix}statement.pdf`;
+    await storage.put(key, body, { contentType: 'application/pdf' });
+    assert.equal(await storage.exists(key), true);
+    const stored = await readAll(await storage.get(key));
+    assert.equal(stored.length, body.length);
+    assert.equal(sha256(stored), sha256(body));
+  });
+
+  it('overwrites an existing key', async () => {
+    const key = `${prefix}overwritten.pdf`;
+    await storage.put(key, Buffer.from('first'), { contentType: 'application/pdf' });
+    await storage.put(key, Buffer.from('second'), { contentType: 'application/pdf' });
+    assert.equal((await readAll(await storage.get(key))).toString(), 'second');
+  });
+
+  it('lists objects under a prefix with their size', async () => {
+    const objects = await storage.list(prefix);
+    assert.deepEqual(objects.map((object) => object.key).sort(), [`${prefix}overwritten.pdf`, `${prefix}statement.pdf`]);
+    assert.equal(objects.find((object) => object.key === `${prefix}statement.pdf`).size, body.length);
+    assert.ok(objects.every((object) => object.lastModified instanceof Date));
+  });
+
+  it('deletes objects and reports missing ones as absent', async () => {
+    const key = `${prefix}statement.pdf`;
+    await storage.delete(key);
+    assert.equal(await storage.exists(key), false);
+    assert.equal(await storage.get(key), null);
+    // Deleting twice is not an error.
+    await storage.delete(key);
+  });
+
+  it('rejects keys that escape the storage root', async () => {
+    assert.throws(() => storage.get('../secrets.txt'), /Invalid storage key/);
+    assert.throws(() => storage.put('/etc/passwd', body), /Invalid storage key/);
+  });
+};
+
+describe('local document storage', () => {
+  roundTrip(() => createDocumentStorage(loadStorageConfig({ DOCUMENT_STORAGE_DIR: path.join(tempDir, 'local-storage') })));
+});
+
+// An in-process bucket behind S3Client#send, answering the commands the S3 backend sends the way S3 does:
+// missing keys fail with NoSuchKey/NotFound and listings come back one object per page.
+const createFakeBucket = () => {
+  const objects = new Map();
+  const notFound = (ErrorClass) => new ErrorClass({ message: 'The specified key does not exist.', $metadata: { httpStatusCode: 404 } });
+  const handlers = {
+    PutObjectCommand: ({ Key, Body, ContentType }) => {
+      objects.set(Key, { body: Buffer.from(Body), contentType: ContentType, lastModified: new Date() });
+      return {};
+    },
+    GetObjectCommand: ({ Key }) => {
+      const object = objects.get(Key);
+      if (!object) throw notFound(s3.NoSuchKey);
+      return { Body: Readable.from([object.body]), ContentType: object.contentType, ContentLength: object.body.length };
+    },
+    HeadObjectCommand: ({ Key }) => {
+      const object = objects.get(Key);
+      if (!object) throw notFound(s3.NotFound);
+      return { ContentType: object.contentType, ContentLength: object.body.length };
+    },
+    DeleteObjectCommand: ({ Key }) => {
+      objects.delete(Key);
+      return {};
+    },
+    ListObjectsV2Command: ({ Prefix = '', ContinuationToken }) => {
+      const keys = [...objects.keys()].filter((key) => key.startsWith(Prefix)).sort();
+      const start = ContinuationToken ? keys.indexOf(ContinuationToken) : 0;
+      const [key] = keys.slice(start, start + 1);
+      const next = keys[start + 1];
+      return {
+        Contents: key ? [{ Key: key, Size: objects.get(key).body.length, LastModified: objects.get(key).lastModified }] : undefined,
+        IsTruncated: Boolean(next),
+        NextContinuationToken: next,
+      };
+    },
+  };
+  return async (command) => {
+    assert.equal(command.input.Bucket, 'credit-test');
+    return handlers[command.constructor.name](command.input);
+  };
+};
+
+describe('S3 document storage (in-process bucket)', () => {
+  const { send } = s3.S3Client.prototype;
+
+  before(() => {
+    s3.S3Client.prototype.send = createFakeBucket();
+  });
+
+  roundTrip(() => createDocumentStorage(loadStorageConfig({ STORAGE_DRIVER: 's3', S3_BUCKET: 'credit-test' })));
+
+  after(() => {
+    s3.S3Client.prototype.send = send;
+  });
+});
+
+// Runs against a real S3-compatible service only when one is configured, e.g. a local MinIO:
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=credit-test \
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm test
+describe('S3 document storage', { skip: !process.env.S3_TEST_ENDPOINT && 'S3_TEST_ENDPOINT is not set' }, () => {
+  roundTrip(() => createDocumentStorage(loadStorageConfig({
+    ...process.env,
+    STORAGE_DRIVER: 's3',
+    S3_ENDPOINT: process.env.S3_TEST_ENDPOINT,
+    S3_BUCKET: process.env.S3_TEST_BUCKET || 'credit-test',
+    S3_FORCE_PATH_STYLE: 'true',
+  })));
+});
+
+describe('migrate_documents.js', () => {
+  const uploadsDir = path.join(tempDir, 'legacy-uploads');
+  const storage = createDocumentStorage();
+  let document;
+  let missing;
+
+  // The script runs main() when required and disconnects Prisma once it is done.
+  const runScript = async (...args) => {
+    const scriptPath = require.resolve('../migrate_documents');
+    const argv = process.argv;
+    const { log, warn } = console;
+    const output = [];
+    const finished = new Promise((resolve) => {
+      prisma.$disconnect = async () => resolve();
+    });
+    process.argv = [argv[0], scriptPath, ...args];
+    console.log = (...line) => output.push(line.join(' '));
+    console.warn = console.log;
+    try {
+      delete require.cache[scriptPath];
+      require(scriptPath);
+      await finished;
+    } finally {
+      process.argv = argv;
+      Object.assign(console, { log, warn });
+    }
+    return output;
+  };
+
+  before(async () => {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    const filePath = path.join(uploadsDir, 'payslip.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4\n%payslip\n');
+    const customer = await prisma.customer.create({ data: { fname: 'Legacy', lname: 'Upload', email: 'legacy@example.com', password: 'x' } });
+    const assessment = await prisma.assessment.create({ data: { customerId: customer.id, score: 600, answers: {}, breakdown: {} } });
+    document = await prisma.document.create({
+      data: { assessmentId: assessment.id, fileName: 'payslip.pdf', originalName: 'payslip.pdf', filePath, mimeType: 'application/pdf' },
+    });
+    missing = await prisma.document.create({
+      data: { assessmentId: assessment.id, fileName: 'gone.pdf', originalName: 'gone.pdf', filePath: path.join(uploadsDir, 'gone.pdf') },
+    });
+  });
+
+  it('only reports what it would move with --dry-run', async () => {
+    const output = await runScript('--dry-run');
+    assert.ok(output.includes(`Document ${document.id}: ${document.filePath} -> documents/${document.assessmentId}/payslip.pdf`));
+    assert.ok(output.includes(`Document ${missing.id}: file not found at "${missing.filePath}", skipped.`));
+    assert.equal(output.at(-1), 'Done. 1 migrated, 1 missing, 0 failed.');
+
+    const unchanged = await prisma.document.findUnique({ where: { id: document.id } });
+    assert.equal(unchanged.storageKey, null);
+    assert.equal(unchanged.filePath, document.filePath);
+    assert.equal(await storage.exists(`documents/${document.assessmentId}/payslip.pdf`), false);
+    assert.ok(fs.existsSync(document.filePath));
+  });
+
+  it('moves the file into storage and records its key and hash', async () => {
+    const output = await runScript();
+    assert.equal(output.at(-1), 'Done. 1 migrated, 1 missing, 0 failed.');
+
+    const migrated = await prisma.document.findUnique({ where: { id: document.id } });
+    const storageKey = `documents/${document.assessmentId}/payslip.pdf`;
+    assert.equal(migrated.storageKey, storageKey);
+    assert.equal(migrated.filePath, null);
+    const stored = await readAll(await storage.get(storageKey));
+    assert.equal(migrated.contentHash, sha256(stored));
+    assert.equal(migrated.size, stored.length);
+    // Without --delete-local the original file stays where it was.
+    assert.ok(fs.existsSync(document.filePath));
+    assert.equal((await prisma.document.findUnique({ where: { id: missing.id } })).storageKey, null);
+
+    // A second run skips documents that already have a storage key.
+    assert.equal((await runScript()).at(-1), 'Done. 0 migrated, 1 missing, 0 failed.');
+  });
+});
@@ -0,0 +1,169 @@
+// ------------------
+// REQUEST VALIDATION
+// ------------------
+// Routes declare what they accept with the rule builders below and attach
+// `validateRequest({ params, query, body })`. Invalid requests never reach the handler and get:
+//   400 { error: 'Invalid request.', details: [{ field: 'pan', message: 'must be a valid PAN ...' }] }
+// Values are trimmed/coerced (query strings to numbers, etc.) and unknown body fields are dropped.
+// Messages are i18n catalog keys ("validation.*") sent in the request's language (req.language).
+const { translate } = require('./i18n');
+
+// ------------------
+// RULE BUILDERS
+// ------------------
+const string = (opts = {}) => ({ type: 'string', ...opts });
+const integer = (opts = {}) => ({ type: 'integer', ...opts });
+const number = (opts = {}) => ({ type: 'number', ...opts });
+const boolean = (opts = {}) => ({ type: 'boolean', ...opts });
+const date = (opts = {}) => ({ type: 'date', ...opts });
+const oneOf = (values, opts = {}) => ({ type: 'enum', values, ...opts });
+const arrayOf = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const object = (fields, opts = {}) => ({ type: 'object', fields, ...opts });
+// Free-form JSON object or array (e.g. answers, policy rules) checked further by domain code.
+const json = (opts = {}) => ({ type: 'json', ...opts });
+
+// Common Indian formats
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+const pan = (opts = {}) => string({
+  pattern: PAN_PATTERN,
+  messageKey: 'validation.pan',
+  transform: (value) => value.toUpperCase(),
+  ...opts,
+});
+// Accepts an optional +91/0 prefix and stores the bare 10-digit number.
+const mobile = (opts = {}) => string({
+  pattern: MOBILE_PATTERN,
+  messageKey: 'validation.mobile',
+  transform: (value) => value.replace(/[\s-]/g, '').replace(/^(\+91|0)/, ''),
+  ...opts,
+});
+const email = (opts = {}) => string({
+  pattern: EMAIL_PATTERN,
+  messageKey: 'validation.email',
+  maxLength: 254,
+  ...opts,
+});
+const accountNumber = (opts = {}) => string({
+  pattern: ACCOUNT_NUMBER_PATTERN,
+  messageKey: 'validation.accountNumber',
+  ...opts,
+});
+const id = (opts = {}) => integer({ required: true, min: 1, ...opts });
+
+// ------------------
+// VALIDATION
+// ------------------
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validates one value against its rule, pushing { field, key, params } entries into `errors`.
+// Returns the cleaned value (or undefined when absent).
+const checkValue = (rule, value, field, errors) => {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) errors.push({ field, key: 'validation.required' });
+    return rule.default;
+  }
+  const fail = (key, params) => {
+    errors.push({ field, key, params });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('validation.string');
+      let result = rule.trim === false ? value : value.trim();
+      if (rule.transform) result = rule.transform(result);
+      if (rule.minLength !== undefined && result.length < rule.minLength) return fail('validation.minLength', { min: rule.minLength });
+      if (rule.maxLength !== undefined && result.length > rule.maxLength) return fail('validation.maxLength', { max: rule.maxLength });
+      if (rule.pattern && !rule.pattern.test(result)) return fail(rule.messageKey || 'validation.format');
+      return result;
+    }
+    case 'integer':
+    case 'number': {
+      const result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof result !== 'number' || Number.isNaN(result)) return fail('validation.number');
+      if (rule.type === 'integer' && !Number.isInteger(result)) return fail('validation.integer');
+      if (rule.min !== undefined && result < rule.min) return fail('validation.min', { min: rule.min });
+      if (rule.max !== undefined && result > rule.max) return fail('validation.max', { max: rule.max });
+      return result;
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return fail('validation.boolean');
+    }
+    case 'date': {
+      const result = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(result.getTime())) return fail('validation.date');
+      return result;
+    }
+    case 'enum': {
+      if (!rule.values.includes(value)) return fail('validation.oneOf', { values: rule.values });
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('validation.array');
+      if (rule.minItems !== undefined && value.length < rule.minItems) return fail('validation.minItems', { min: rule.minItems });
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return fail('validation.maxItems', { max: rule.maxItems });
+      if (rule.unique && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+        return fail('validation.unique');
+      }
+      return value.map((item, i) => checkValue({ required: true, ...rule.items }, item, `${field}[${i}]`, errors));
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return fail('validation.object');
+      return checkFields(rule.fields, value, `${field}.`, errors);
+    }
+    case 'json': {
+      if (typeof value !== 'object') return fail('validation.json');
+      return value;
+    }
+    default:
+      throw new Error(`Unknown validation rule type "${rule.type}" for ${field}.`);
+  }
+};
+
+// Validates every declared field of `source`; undeclared fields are dropped.
+const checkFields = (fields, source, prefix, errors) => {
+  const result = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkValue(rule, source[name], `${prefix}${name}`, errors);
+    if (value !== undefined) result[name] = value;
+  }
+  return result;
+};
+
+// Details are { field, key, params } (translated here) or { field, message } for text that is
+// already final, such as policy rule problems shown to bank admins.
+const sendValidationError = (res, details, errorKey = 'validation.invalidRequest') => {
+  const { language } = res.req;
+  return res.status(400).json({
+    error: translate(language, errorKey),
+    details: details.map(({ field, key, params, message }) => ({ field, message: key ? translate(language, key, params) : message })),
+  });
+};
+
+// Middleware enforcing a route schema of the form { params, query, body }.
+const validateRequest = (schema) => (req, res, next) => {
+  const errors = [];
+  const cleaned = {};
+  for (const part of ['params', 'query', 'body']) {
+    if (!schema[part]) continue;
+    cleaned[part] = checkFields(schema[part], req[part] || {}, part === 'body' ? '' : `${part}.`, errors);
+  }
+  if (errors.length) return sendValidationError(res, errors);
+  if (cleaned.params) Object.assign(req.params, cleaned.params);
+  // Express 5 exposes req.query through a getter, so shadow it with the cleaned copy.
+  if (cleaned.query) Object.defineProperty(req, 'query', { value: cleaned.query, configurable: true, enumerable: true });
+  if (cleaned.body) req.body = cleaned.body;
+  next();
+};
+
+module.exports = {
+  validateRequest,
+  sendValidationError,
+  rules: { string, integer, number, boolean, date, oneOf, arrayOf, object, json, pan, mobile, email, accountNumber, id },
+};